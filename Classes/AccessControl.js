@@ -0,0 +1,88 @@
+const MdsmError = require("./MdsmError.js");
+
+/* Decides whether a client may call an endpoint. Builds a role model on top of clientClass:
+ * classes may inherit the permissions of other classes, endpoints may grant different
+ * classes access to different HTTP methods, and an endpoint's authorize() predicate may
+ * apply finer-grained rules based on sessionData and clientData. */
+class AccessControl{
+	constructor(){
+		/* Maps a class to the list of classes it inherits from, e.g. {admin: ['controller']} */
+		this.classInheritance = {};
+
+		/* Returned (through next()) when a client is denied access. May be overridden upon init(). */
+		this.deniedResponse = {
+			statusCode: 403,
+			message: 'Access denied',
+		};
+	}
+
+	/* Returns a list of a class and every class it inherits from, directly or indirectly */
+	expandClass(clientClass){
+		let expanded = [];
+		let pending = [clientClass];
+
+		while(pending.length > 0){
+			let current = pending.shift();
+			if(expanded.includes(current)){
+				continue;	// Already seen. Also guards against inheritance cycles.
+			}
+			expanded.push(current);
+			pending = pending.concat(this.classInheritance[current] || []);
+		}
+
+		return expanded;
+	}
+
+	/* Returns the list of classes allowed to call an endpoint with a given HTTP method.
+	 * allowedClassTypes may be a list (any method), or an object keyed by method, where
+	 * the '*' key applies to methods that aren't listed. */
+	allowedClassesFor(endpoint, method){
+		let allowed = endpoint.allowedClassTypes;
+		if(Array.isArray(allowed)){
+			return allowed;
+		}
+		if(allowed && allowed[method]){
+			return allowed[method];
+		}
+		if(allowed && allowed['*']){
+			return allowed['*'];
+		}
+		return [];
+	}
+
+	/* Resolves true if the client may call the endpoint, or false if not. Class checks are
+	 * done first; the endpoint's authorize() predicate (which may return a Promise) is only
+	 * consulted for clients whose class is allowed. */
+	authorize(endpoint, client, sessionData, context){
+		let allowedClasses = this.allowedClassesFor(endpoint, context.method);
+		let clientClasses = this.expandClass(client.clientClass);
+
+		let classAllowed = clientClasses.some((c)=>{
+			return allowedClasses.includes(c);
+		});
+
+		if(!(classAllowed)){
+			return Promise.resolve(false);
+		}
+		if(!(endpoint.authorize)){
+			return Promise.resolve(true);
+		}
+
+		return Promise.resolve().then(()=>{
+			return endpoint.authorize(sessionData, client.clientData, context);
+		}).then((result)=>{
+			return (result === true);
+		});
+	}
+
+	/* Builds the error passed to next() when a client is denied access */
+	deniedError(){
+		return new MdsmError({
+			errorCode: 9,	// Error code 9: Access denied
+			errorText: this.deniedResponse.message,
+			statusCode: this.deniedResponse.statusCode,
+		});
+	}
+}
+
+module.exports = AccessControl;
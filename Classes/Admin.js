@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const Router = require("./Router.js");
+
+/* Serves the admin API of an MDSM instance: listing sessions, inspecting a session's clients
+ * and data, force-expiring sessions and kicking clients. Admin requests don't use MDSM
+ * credentials; they are authenticated separately, with a bearer token or an authorize
+ * function (see Documentation). The admin API answers every request itself, with JSON. */
+class Admin{
+	constructor(options){
+		this.url = options.url;				// Trimmed base URL of the admin API
+		this.token = options.token || null;	// Bearer token admin requests must carry, if set
+		this.authorizeRequest = options.authorize || null;	// Predicate called with the request, if set
+		this.sessions = options.sessions;		// The instance's sessions index (a Map keyed by sessionID)
+		this.endSession = options.endSession;	// Expires a session right away
+
+		/* Admin routes are matched like endpoints, below the admin URL */
+		this.router = new Router();
+		this.router.setEndpoints([
+			{ url: this.url + '/sessions', method: 'GET', handler: this.listSessions.bind(this) },
+			{ url: this.url + '/sessions/:sessionID', method: 'GET', handler: this.showSession.bind(this) },
+			{ url: this.url + '/sessions/:sessionID', method: 'DELETE', handler: this.expireSession.bind(this) },
+			{ url: this.url + '/sessions/:sessionID/clients/:clientID', method: 'DELETE', handler: this.kickClient.bind(this) },
+		]);
+	}
+
+	/* True if a trimmed request path belongs to the admin API */
+	handles(path){
+		return path === this.url || path.indexOf(this.url + '/') === 0;
+	}
+
+	/* Authenticate an admin request, then route it */
+	handle(req, res){
+		this.authorize(req).then((allowed)=>{
+			if(!(allowed)){
+				res.setHeader('WWW-Authenticate', 'Bearer');
+				this.send(res, 401, { errorText: 'MDSM Error: Admin access denied.' });
+				return;
+			}
+
+			let route = this.router.match(req.method, req.url);
+			if(!(route)){
+				this.send(res, 404, { errorText: 'MDSM Error: Unknown admin URL.' });
+				return;
+			}
+			route.endpoint.handler(req, res, route);
+		}).catch((error)=>{
+			this.send(res, 500, { errorText: 'MDSM Error: Admin request failed.' });
+		});
+	}
+
+	/* Resolves to true if the request may use the admin API. The authorize function, if
+	 * given, decides; otherwise the request must carry the token as a bearer token. */
+	authorize(req){
+		if(this.authorizeRequest){
+			return Promise.resolve().then(()=>{
+				return this.authorizeRequest(req);
+			}).then((result)=>{
+				return (result === true);
+			});
+		}
+
+		let authorization = req.headers.authorization || '';
+		let match = /^bearer\s+(.+)$/i.exec(authorization);
+		if(!(this.token) || !(match)){
+			return Promise.resolve(false);
+		}
+
+		/* Compare digests, so that the comparison takes the same time whatever the token */
+		let expected = crypto.createHash('sha256').update(this.token).digest();
+		let given = crypto.createHash('sha256').update(match[1].trim()).digest();
+		return Promise.resolve(crypto.timingSafeEqual(expected, given));
+	}
+
+	/* GET sessions?offset=0&limit=100: a page of session summaries, in creation order */
+	listSessions(req, res, route){
+		let offset = Math.max(parseInt(route.query.offset, 10) || 0, 0);
+		let limit = Math.max(parseInt(route.query.limit, 10) || 100, 0);
+
+		let page = [];
+		let index = 0;
+		for(let session of this.sessions.values()){
+			if(index >= offset + limit){
+				break;
+			}
+			if(index >= offset){
+				page.push(this.summarize(session));
+			}
+			index++;
+		}
+
+		this.send(res, 200, {
+			total: this.sessions.size,
+			offset: offset,
+			sessions: page,
+		});
+	}
+
+	/* GET sessions/:sessionID: a session's summary, along with its data, clients and leases */
+	showSession(req, res, route){
+		let session = this.findSession(res, route);
+		if(!(session)){
+			return;
+		}
+
+		this.send(res, 200, Object.assign(this.summarize(session), {
+			sessionData: session.sessionData,
+			clients: session.listClients(),
+			leases: Object.keys(session.leases).map((name)=>{
+				return session.getLease(name);
+			}).filter((lease)=>{
+				return lease !== null;
+			}),
+		}));
+	}
+
+	/* DELETE sessions/:sessionID: expire the session now */
+	expireSession(req, res, route){
+		let session = this.findSession(res, route);
+		if(!(session)){
+			return;
+		}
+
+		this.endSession(session);
+		this.send(res, 200, { expired: true });
+	}
+
+	/* DELETE sessions/:sessionID/clients/:clientID: remove a client from its session */
+	kickClient(req, res, route){
+		let session = this.findSession(res, route);
+		if(!(session)){
+			return;
+		}
+
+		if(!(session.removeClient(route.params.clientID, 'kicked'))){
+			this.send(res, 404, { errorText: 'MDSM Error: No such client.' });
+			return;
+		}
+		this.send(res, 200, { removed: true });
+	}
+
+	/* Look up the session named in the URL. Responds with a 404 and returns undefined if
+	 * there is none. */
+	findSession(res, route){
+		let session = this.sessions.get(route.params.sessionID);
+		if(!(session)){
+			this.send(res, 404, { errorText: 'MDSM Error: No such session.' });
+		}
+		return session;
+	}
+
+	/* A short description of a session, for listing */
+	summarize(session){
+		return {
+			sessionID: session.sessionID,
+			expiryDate: session.expiryDate,
+			slidingExpiration: session.slidingExpiration,
+			stateVersion: session.stateLog.version,
+			requestCount: session.requestCount,
+			clientCount: session.clients.size,
+			subscriberCount: session.subscribers.length,
+			queueDepth: session.requestQueue.length,
+		};
+	}
+
+	send(res, statusCode, body){
+		res.statusCode = statusCode;
+		res.setHeader('Content-Type', 'application/json');
+		res.end(JSON.stringify(body));
+	}
+}
+
+module.exports = Admin;
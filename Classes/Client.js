@@ -1,8 +1,27 @@
+const Mailbox = require("./Mailbox.js");
+const systemClock = require("./Clock.js");
+
 class Client{
 	constructor(newClientInfo){
 		this.clientID = newClientInfo.clientID;
 		this.clientClass = newClientInfo.clientClass;
 		this.clientData = newClientInfo.clientData;
+		this.clock = newClientInfo.clock || systemClock;
+
+		/* Time (ms since the epoch) of the client's last request. Restored clients keep theirs. */
+		this.lastSeen = newClientInfo.lastSeen || this.clock.now();
+
+		/* How long in ms the client may stay idle before it is evicted from its session.
+		 * 0 means the client is never evicted for being idle. */
+		this.timeToLive = newClientInfo.timeToLive || 0;
+
+		/* Messages posted to this client by other clients or by server code */
+		this.mailbox = new Mailbox(newClientInfo.mailboxOptions || {}, this.clock);
+	}
+
+	/* Record activity from the client */
+	touch(){
+		this.lastSeen = this.clock.now();
 	}
 }
 
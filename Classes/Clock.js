@@ -0,0 +1,17 @@
+/* The clock every time-based part of MDSM goes through: session expiry, client eviction,
+ * leases, join codes, rate limits and mailboxes read the time and set their timers with it.
+ * This one is the system clock; initConfig.clock substitutes another, such as the FakeClock
+ * of mdsm-testing.js. Handler time limits always run on the system clock. */
+const systemClock = {
+	now: function(){
+		return Date.now();
+	},
+	setTimeout: function(callback, delay){
+		return setTimeout(callback, delay);
+	},
+	clearTimeout: function(timer){
+		clearTimeout(timer);
+	},
+};
+
+module.exports = systemClock;
@@ -0,0 +1,150 @@
+const systemClock = require("./Clock.js");
+
+/* Longest delay setTimeout accepts. Deadlines further away are reached in several hops. */
+const MAX_TIMEOUT = 2147483647;
+
+/* Runs callbacks at given times, for every session expiry and client eviction of an MDSM
+ * instance, using a single timer. Pending deadlines are kept in a binary min-heap ordered by
+ * time, so scheduling and running a deadline cost O(log n) however many there are. Each
+ * deadline has a key; scheduling a key again replaces its previous deadline. */
+class ExpiryScheduler{
+	constructor(clock){
+		this.clock = clock || systemClock;	// Replaced upon init() if initConfig.clock is given
+		this.heap = [];				// Pending deadlines, earliest first. Schema: {key, time, callback, cancelled}
+		this.entries = new Map();	// The live deadline for each key
+		this.timer = null;			// The one timer, set for the earliest deadline
+		this.timerTime = null;		// When that timer fires
+	}
+
+	/* Call callback at time (ms since the epoch), replacing the key's previous deadline */
+	schedule(key, time, callback){
+		this.cancel(key);
+
+		let entry = { key: key, time: time, callback: callback, cancelled: false };
+		this.entries.set(key, entry);
+		this.push(entry);
+		this.arm();
+	}
+
+	/* Drop a key's deadline, if it has one. The heap entry is only marked, and is discarded
+	 * when it reaches the top; the heap is rebuilt if marked entries pile up. */
+	cancel(key){
+		let entry = this.entries.get(key);
+		if(!(entry)){
+			return;
+		}
+		entry.cancelled = true;
+		this.entries.delete(key);
+
+		if(this.heap.length > 64 && this.heap.length > 2 * this.entries.size){
+			this.heap = Array.from(this.entries.values());
+			for(let i = (this.heap.length >> 1) - 1; i >= 0; i--){
+				this.siftDown(i);
+			}
+		}
+	}
+
+	/* Drop every deadline and stop the timer */
+	clear(){
+		this.clock.clearTimeout(this.timer);
+		this.timer = null;
+		this.timerTime = null;
+		this.heap = [];
+		this.entries.clear();
+	}
+
+	/* Make sure the timer is set for the earliest live deadline */
+	arm(){
+		while(this.heap.length > 0 && this.heap[0].cancelled){
+			this.pop();
+		}
+		if(this.heap.length === 0){
+			this.clock.clearTimeout(this.timer);
+			this.timer = null;
+			this.timerTime = null;
+			return;
+		}
+
+		let time = this.heap[0].time;
+		if(this.timer && this.timerTime <= time){
+			return;		// Already set to fire in time
+		}
+
+		this.clock.clearTimeout(this.timer);
+		this.timerTime = time;
+		this.timer = this.clock.setTimeout(()=>{
+			this.timer = null;
+			this.timerTime = null;
+			this.run();
+		}, Math.min(Math.max(time - this.clock.now(), 0), MAX_TIMEOUT));
+	}
+
+	/* Run every deadline that is due, then set the timer for the next one. Callbacks may
+	 * schedule new deadlines. */
+	run(){
+		try{
+			while(this.heap.length > 0 && this.heap[0].time <= this.clock.now()){
+				let entry = this.pop();
+				if(entry.cancelled){
+					continue;
+				}
+				this.entries.delete(entry.key);
+				entry.callback();
+			}
+		} finally{
+			this.arm();
+		}
+	}
+
+	/* Add an entry to the heap */
+	push(entry){
+		this.heap.push(entry);
+		let i = this.heap.length - 1;
+		while(i > 0){
+			let parent = (i - 1) >> 1;
+			if(this.heap[parent].time <= this.heap[i].time){
+				break;
+			}
+			this.swap(i, parent);
+			i = parent;
+		}
+	}
+
+	/* Remove and return the earliest entry of the heap */
+	pop(){
+		let top = this.heap[0];
+		let last = this.heap.pop();
+		if(this.heap.length > 0){
+			this.heap[0] = last;
+			this.siftDown(0);
+		}
+		return top;
+	}
+
+	/* Move an entry down the heap until both its children are later than it */
+	siftDown(i){
+		let length = this.heap.length;
+		while(true){
+			let left = 2 * i + 1, right = left + 1, smallest = i;
+			if(left < length && this.heap[left].time < this.heap[smallest].time){
+				smallest = left;
+			}
+			if(right < length && this.heap[right].time < this.heap[smallest].time){
+				smallest = right;
+			}
+			if(smallest === i){
+				return;
+			}
+			this.swap(i, smallest);
+			i = smallest;
+		}
+	}
+
+	swap(a, b){
+		let entry = this.heap[a];
+		this.heap[a] = this.heap[b];
+		this.heap[b] = entry;
+	}
+}
+
+module.exports = ExpiryScheduler;
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const MemoryStore = require("./MemoryStore.js");
+
+/* A session storage adapter that mirrors every change to a JSON file, so sessions and
+ * their clients survive a restart. Only JSON-serializable sessionData and clientData
+ * are preserved (functions are dropped). */
+class FileStore extends MemoryStore{
+	constructor(options){
+		super();
+		this.path = options.path;	// The JSON file to read from and write to
+
+		/* Changes are written to disk at most once every flushDelay ms, so that a busy server
+		 * doesn't rewrite the whole file on every request. 0 writes every change right away. */
+		this.flushDelay = (options.flushDelay !== undefined) ? options.flushDelay : 1000;
+		this.serialized = {};		// The JSON of each record, keyed by sessionID
+		this.flushTimer = null;
+	}
+
+	/* Read the records from disk. A missing file simply means there is nothing to restore. */
+	load(){
+		if(fs.existsSync(this.path)){
+			this.records = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+			Object.keys(this.records).forEach((sessionID)=>{
+				this.serialized[sessionID] = JSON.stringify(this.records[sessionID]);
+			});
+		}
+		return super.load();
+	}
+
+	/* Records that haven't changed since they were last saved are not written again */
+	saveSession(record){
+		let json = JSON.stringify(record);
+		if(this.serialized[record.sessionID] === json){
+			return;
+		}
+		super.saveSession(record);
+		this.serialized[record.sessionID] = json;
+		this.scheduleFlush();
+	}
+
+	removeSession(sessionID){
+		if(!(sessionID in this.serialized)){
+			return;
+		}
+		super.removeSession(sessionID);
+		delete this.serialized[sessionID];
+		this.scheduleFlush();
+	}
+
+	/* Write pending changes now. Called by mdsm.close(). */
+	close(){
+		if(this.flushTimer !== null){
+			this.flush();
+		}
+	}
+
+	/* Write the changes after flushDelay ms, along with any others made meanwhile */
+	scheduleFlush(){
+		if(!(this.flushDelay)){
+			this.flush();
+		}
+		else if(this.flushTimer === null){
+			this.flushTimer = setTimeout(()=>{
+				this.flush();
+			}, this.flushDelay);
+		}
+	}
+
+	/* Write all records to disk. Writes to a temporary file first and then renames it, so
+	 * a crash mid-write never leaves a truncated file behind. */
+	flush(){
+		clearTimeout(this.flushTimer);
+		this.flushTimer = null;
+
+		let json = '{' + Object.keys(this.serialized).map((sessionID)=>{
+			return JSON.stringify(sessionID) + ':' + this.serialized[sessionID];
+		}).join(',') + '}';
+		let tempPath = this.path + '.tmp';
+		fs.writeFileSync(tempPath, json);
+		fs.renameSync(tempPath, this.path);
+	}
+}
+
+module.exports = FileStore;
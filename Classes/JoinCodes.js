@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const systemClock = require("./Clock.js");
+
+/* Characters used in join codes. Leaves out 0/O and 1/I, which are easily confused when
+ * read off a screen and typed into another device. */
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/* Keeps track of the join codes issued by every session. A join code lets a new device
+ * pair itself with a session: redeeming it at the join URL creates a Client of the code's
+ * clientClass. Codes expire, and may only be redeemed a limited number of times. Codes are
+ * kept in memory only, and do not survive a restart. */
+class JoinCodes{
+	constructor(){
+		this.codes = {};		// Join codes, keyed by code. Schema: {code, sessionID, clientClass, clientData, usesLeft, expiryDate}
+		this.codeLength = 6;
+		this.joinURL = '';		// Set upon init(). Used to build the URL returned with each code.
+		this.clock = systemClock;	// Replaced upon init() if initConfig.clock is given
+	}
+
+	/* Issue a new join code for a session. See Documentation for the options schema.
+	 * Returns {code, url, expiryDate, usesLeft}. */
+	issue(sessionID, options){
+		this.prune();
+
+		/* Draw codes until one is found that isn't already in use */
+		let code;
+		do{
+			code = '';
+			for(let i = 0; i < this.codeLength; i++){
+				code += CODE_ALPHABET.charAt(crypto.randomInt(CODE_ALPHABET.length));
+			}
+		} while(this.codes[code]);
+
+		let record = {
+			code: code,
+			sessionID: sessionID,
+			clientClass: options.clientClass,
+			clientData: (options.clientData !== undefined) ? options.clientData : null,
+			usesLeft: options.maxUses || 1,		// Falls back to a single use
+			expiryDate: this.clock.now() + (options.timeToLive || 300000),	// Falls back to 5 minutes
+		};
+		if(options.maxUses === 0){
+			record.usesLeft = Infinity;		// 0 means the code may be used any number of times
+		}
+		this.codes[code] = record;
+
+		return {
+			code: code,
+			url: `/${this.joinURL}?code=${code}`,	// Suitable as a QR payload, once prefixed with the host
+			expiryDate: record.expiryDate,
+			usesLeft: record.usesLeft,
+		};
+	}
+
+	/* Look a code up without using it. Returns the code's record, or null if the code does
+	 * not exist, has expired, or has no uses left. */
+	find(code){
+		this.prune();
+		return this.codes[this.normalize(code)] || null;
+	}
+
+	/* Use up one redemption of a code. Returns the code's record, or null if the code does
+	 * not exist, has expired, or has no uses left. */
+	redeem(code){
+		let record = this.find(code);
+		if(!(record)){
+			return null;
+		}
+
+		record.usesLeft--;
+		if(record.usesLeft <= 0){
+			delete this.codes[record.code];
+		}
+		return record;
+	}
+
+	/* Invalidate a code before it expires. Returns true if the code existed. */
+	revoke(code){
+		let normalized = this.normalize(code);
+		let existed = (normalized in this.codes);
+		delete this.codes[normalized];
+		return existed;
+	}
+
+	/* Codes are case-insensitive, and dashes and spaces are ignored so that codes can be
+	 * shown as e.g. 'ABC-DEF' */
+	normalize(code){
+		return String(code).toUpperCase().replace(/[-\s]/g, '');
+	}
+
+	/* Invalidate every code issued by a session. Called when the session expires. */
+	revokeSession(sessionID){
+		Object.keys(this.codes).forEach((code)=>{
+			if(this.codes[code].sessionID === sessionID){
+				delete this.codes[code];
+			}
+		});
+	}
+
+	/* Forget every code that has expired */
+	prune(){
+		let now = this.clock.now();
+		Object.keys(this.codes).forEach((code)=>{
+			if(this.codes[code].expiryDate <= now){
+				delete this.codes[code];
+			}
+		});
+	}
+}
+
+module.exports = JoinCodes;
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const systemClock = require("./Clock.js");
+
+/* Holds the messages posted to a single client until the client acknowledges them. Meant
+ * for devices that can't keep an event stream open: they long-poll for messages instead.
+ * A message handed out in a poll but not acknowledged within ackTimeout ms is handed out
+ * again by a later poll. When the mailbox is full, the oldest message is dropped. Messages
+ * are kept in memory only. */
+class Mailbox{
+	constructor(options, clock){
+		this.clock = clock || systemClock;
+		this.messages = [];		// Oldest first. Schema: {messageID, from, payload, postedAt, deliveredAt, attempts}
+		this.waiters = [];		// Polls waiting for a message. Schema: {callback, timer}
+		this.maxSize = options.maxSize || 100;
+		this.ackTimeout = options.ackTimeout || 30000;
+	}
+
+	/* Add a message, and hand it to a waiting poll if there is one. Returns its messageID. */
+	post(from, payload){
+		let message = {
+			messageID: crypto.randomBytes(12).toString('hex'),
+			from: from,			// clientID of the sender, or null if posted by server code
+			payload: payload,
+			postedAt: this.clock.now(),
+			deliveredAt: null,
+			attempts: 0,
+		};
+
+		this.messages.push(message);
+		if(this.messages.length > this.maxSize){
+			this.messages.shift();
+		}
+
+		let waiter = this.waiters.shift();
+		if(waiter){
+			this.clock.clearTimeout(waiter.timer);
+			waiter.callback(this.take());
+		}
+
+		return message.messageID;
+	}
+
+	/* Returns the messages that are due for delivery (never delivered, or delivered but not
+	 * acknowledged in time), and marks them as delivered. */
+	take(){
+		let now = this.clock.now();
+		let due = this.messages.filter((m)=>{
+			return m.deliveredAt === null || now - m.deliveredAt >= this.ackTimeout;
+		});
+
+		return due.map((m)=>{
+			m.deliveredAt = now;
+			m.attempts++;
+			return {
+				messageID: m.messageID,
+				from: m.from,
+				payload: m.payload,
+				postedAt: m.postedAt,
+				attempts: m.attempts,
+			};
+		});
+	}
+
+	/* Acknowledge delivery of messages, removing them from the mailbox */
+	ack(messageIDs){
+		this.messages = this.messages.filter((m)=>{
+			return !(messageIDs.includes(m.messageID));
+		});
+	}
+
+	/* Call back with the messages that are due. If there are none, wait up to timeout ms for
+	 * one to be posted. Returns a function that cancels the wait. */
+	wait(timeout, callback){
+		let due = this.take();
+		if(due.length > 0 || !(timeout)){
+			callback(due);
+			return function(){};
+		}
+
+		let waiter = {callback: callback, timer: null};
+		waiter.timer = this.clock.setTimeout(()=>{
+			this.removeWaiter(waiter);
+			callback(this.take());	// Redeliveries may have come due in the meantime
+		}, timeout);
+		this.waiters.push(waiter);
+
+		return ()=>{
+			this.clock.clearTimeout(waiter.timer);
+			this.removeWaiter(waiter);
+		};
+	}
+
+	removeWaiter(waiter){
+		let index = this.waiters.indexOf(waiter);
+		if(index !== -1){
+			this.waiters.splice(index,1);
+		}
+	}
+
+	/* Answer every waiting poll with no messages. Called when the client is removed or its
+	 * session ends. */
+	close(){
+		this.waiters.forEach((waiter)=>{
+			this.clock.clearTimeout(waiter.timer);
+			waiter.callback([]);
+		});
+		this.waiters = [];
+	}
+}
+
+module.exports = Mailbox;
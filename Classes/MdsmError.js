@@ -0,0 +1,68 @@
+/* Every MDSM error code, with a stable name that won't change between versions and the HTTP
+ * status a request failing with it is answered with by default. See Documentation. */
+const ERROR_CODES = {
+	0: { code: 'NO_CREDENTIAL', statusCode: 400 },
+	1: { code: 'INVALID_CREDENTIAL', statusCode: 401 },
+	2: { code: 'PORT_MODE', statusCode: 500 },
+	3: { code: 'UNKNOWN_ENDPOINT', statusCode: 404 },
+	4: { code: 'QUEUE_FULL', statusCode: 503 },
+	5: { code: 'HANDLER_TIMEOUT', statusCode: 504 },
+	6: { code: 'HANDLER_FAILED', statusCode: 500 },
+	7: { code: 'INVALID_JSON', statusCode: 400 },
+	8: { code: 'BODY_TOO_LARGE', statusCode: 413 },
+	9: { code: 'ACCESS_DENIED', statusCode: 403 },
+	10: { code: 'INVALID_JOIN_CODE', statusCode: 400 },
+	11: { code: 'SHUTTING_DOWN', statusCode: 503 },
+	12: { code: 'VERSION_MISMATCH', statusCode: 412 },
+	13: { code: 'LEASE_HELD', statusCode: 409 },
+	14: { code: 'RATE_LIMITED', statusCode: 429 },
+	15: { code: 'QUOTA_EXCEEDED', statusCode: 429 },
+	16: { code: 'SESSION_FULL', statusCode: 409 },
+	17: { code: 'INVALID_ARGUMENTS', statusCode: 400 },
+	18: { code: 'SCHEMA_MISMATCH', statusCode: 400 },
+	19: { code: 'BODY_ABORTED', statusCode: 400 },
+	20: { code: 'INVALID_LEASE_REQUEST', statusCode: 400 },
+};
+
+/* The error MDSM passes to next(), throws from init() and returns from its public functions.
+ * Built from the same {errorCode, errorText, ...details} objects MDSM has always used, so
+ * every detail stays a property of the error. Adds the code's stable name (code) and the HTTP
+ * status to answer with (statusCode), unless the details set their own. */
+class MdsmError extends Error{
+	constructor(fields){
+		super(fields.errorText);
+		let known = ERROR_CODES[fields.errorCode] || { code: 'UNKNOWN', statusCode: 500 };
+		this.errorCode = fields.errorCode;
+		this.code = known.code;
+		this.errorText = fields.errorText;
+		this.statusCode = known.statusCode;
+		Object.assign(this, fields);
+	}
+
+	/* The body of an error response. Leaves out the HTTP status and the error thrown by a
+	 * failing handler, which may hold details the client shouldn't see. */
+	toJSON(){
+		let body = {};
+		Object.keys(this).forEach((key)=>{
+			if(key !== 'statusCode' && key !== 'error'){
+				body[key] = this[key];
+			}
+		});
+		return body;
+	}
+
+	/* Returns the error as an MdsmError, wrapping plain {errorCode, errorText} objects */
+	static from(error){
+		return (error instanceof MdsmError) ? error : new MdsmError(error);
+	}
+}
+
+MdsmError.prototype.name = 'MdsmError';
+
+/* Error codes keyed by their stable names, e.g. MdsmError.codes.RATE_LIMITED === 14 */
+MdsmError.codes = {};
+Object.keys(ERROR_CODES).forEach((errorCode)=>{
+	MdsmError.codes[ERROR_CODES[errorCode].code] = Number(errorCode);
+});
+
+module.exports = MdsmError;
@@ -0,0 +1,27 @@
+/* The default session storage adapter. Keeps session records in memory only, so every
+ * session is lost when the process exits. Other adapters (see FileStore.js) implement the
+ * same three methods. See Documentation for the adapter interface and record schema. */
+class MemoryStore{
+	constructor(){
+		this.records = {};	// Session records, keyed by sessionID
+	}
+
+	/* Return every stored session record. Called once, upon init(). */
+	load(){
+		return Object.keys(this.records).map((sessionID)=>{
+			return this.records[sessionID];
+		});
+	}
+
+	/* Insert or overwrite the record for a session */
+	saveSession(record){
+		this.records[record.sessionID] = record;
+	}
+
+	/* Forget a session (usually because it expired) */
+	removeSession(sessionID){
+		delete this.records[sessionID];
+	}
+}
+
+module.exports = MemoryStore;
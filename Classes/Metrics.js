@@ -0,0 +1,86 @@
+/* Upper bounds, in seconds, of the handler latency histogram buckets */
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/* Counts requests and handler latencies for an MDSM instance, and renders them, along with
+ * the current number of sessions and clients, in the Prometheus text exposition format.
+ * Fed from the instance's requestHandled and requestRejected events. */
+class Metrics{
+	constructor(){
+		this.requests = new Map();		// Handled requests per endpoint
+		this.errors = new Map();		// Rejected requests per endpoint and errorCode. Keyed by JSON [endpoint, errorCode]
+		this.durations = new Map();		// Handler latencies per endpoint. Schema: {buckets, sum, count}
+	}
+
+	/* Record a request handled by an endpoint, and how long its handler took (in ms) */
+	observeRequest(endpoint, duration){
+		this.requests.set(endpoint, (this.requests.get(endpoint) || 0) + 1);
+
+		let histogram = this.durations.get(endpoint);
+		if(!(histogram)){
+			histogram = { buckets: DURATION_BUCKETS.map(()=>0), sum: 0, count: 0 };
+			this.durations.set(endpoint, histogram);
+		}
+		let seconds = duration / 1000;
+		DURATION_BUCKETS.forEach((bound, i)=>{
+			if(seconds <= bound){
+				histogram.buckets[i]++;
+			}
+		});
+		histogram.sum += seconds;
+		histogram.count++;
+	}
+
+	/* Record a request rejected with an MDSM error. endpoint is null if the request did not
+	 * match an endpoint. */
+	countError(endpoint, errorCode){
+		let key = JSON.stringify([endpoint || '', String(errorCode)]);
+		this.errors.set(key, (this.errors.get(key) || 0) + 1);
+	}
+
+	/* Render every metric. gauges holds the current {sessions, clients} counts. */
+	render(gauges){
+		let lines = [];
+
+		lines.push('# HELP mdsm_sessions Sessions currently alive.');
+		lines.push('# TYPE mdsm_sessions gauge');
+		lines.push(`mdsm_sessions ${gauges.sessions}`);
+
+		lines.push('# HELP mdsm_clients Clients currently in a session.');
+		lines.push('# TYPE mdsm_clients gauge');
+		lines.push(`mdsm_clients ${gauges.clients}`);
+
+		lines.push('# HELP mdsm_requests_total Requests handled by an endpoint.');
+		lines.push('# TYPE mdsm_requests_total counter');
+		this.requests.forEach((count, endpoint)=>{
+			lines.push(`mdsm_requests_total{endpoint="${this.escape(endpoint)}"} ${count}`);
+		});
+
+		lines.push('# HELP mdsm_request_errors_total Requests rejected with an MDSM error, by errorCode.');
+		lines.push('# TYPE mdsm_request_errors_total counter');
+		this.errors.forEach((count, key)=>{
+			let labels = JSON.parse(key);
+			lines.push(`mdsm_request_errors_total{endpoint="${this.escape(labels[0])}",errorCode="${labels[1]}"} ${count}`);
+		});
+
+		lines.push('# HELP mdsm_handler_duration_seconds Time spent running endpoint handlers.');
+		lines.push('# TYPE mdsm_handler_duration_seconds histogram');
+		this.durations.forEach((histogram, endpoint)=>{
+			let label = `endpoint="${this.escape(endpoint)}"`;
+			DURATION_BUCKETS.forEach((bound, i)=>{
+				lines.push(`mdsm_handler_duration_seconds_bucket{${label},le="${bound}"} ${histogram.buckets[i]}`);
+			});
+			lines.push(`mdsm_handler_duration_seconds_bucket{${label},le="+Inf"} ${histogram.count}`);
+			lines.push(`mdsm_handler_duration_seconds_sum{${label}} ${histogram.sum}`);
+			lines.push(`mdsm_handler_duration_seconds_count{${label}} ${histogram.count}`);
+		});
+
+		return lines.join('\n') + '\n';
+	}
+
+	/* Escape a label value: backslashes, double quotes and line feeds */
+	escape(value){
+		return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+	}
+}
+
+module.exports = Metrics;
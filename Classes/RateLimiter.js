@@ -0,0 +1,60 @@
+const systemClock = require("./Clock.js");
+
+/* Token bucket rate limiter. Each bucket, identified by a key, holds up to `capacity`
+ * tokens and regains `refillPerSecond` tokens every second. A request takes one token from
+ * every bucket that applies to it, and is refused if any of them is empty. A bucket with a
+ * refillPerSecond of 0 never refills: it allows `capacity` requests in all. */
+class RateLimiter{
+	constructor(clock){
+		this.clock = clock || systemClock;
+		this.buckets = {};	// Keyed by bucket key. Schema: {tokens, updatedAt}
+	}
+
+	/* Take a token from each of the given buckets. Schema of each item: {key, limit}, where
+	 * limit is {capacity, refillPerSecond}. Tokens are only taken if every bucket has one.
+	 * Returns 0 if the request may go ahead, or the number of ms until it could (Infinity if
+	 * an empty bucket never refills). */
+	consume(checks){
+		let now = this.clock.now();
+		let wait = 0;
+
+		checks.forEach((check)=>{
+			let bucket = this.refill(check.key, check.limit, now);
+			if(bucket.tokens < 1){
+				let msUntilToken = (check.limit.refillPerSecond > 0) ? Math.ceil((1 - bucket.tokens) / check.limit.refillPerSecond * 1000) : Infinity;
+				wait = Math.max(wait, msUntilToken);
+			}
+		});
+
+		if(wait === 0){
+			checks.forEach((check)=>{
+				this.buckets[check.key].tokens -= 1;
+			});
+		}
+		return wait;
+	}
+
+	/* Bring a bucket up to date, creating it (full) if it doesn't exist yet */
+	refill(key, limit, now){
+		let bucket = this.buckets[key];
+		if(!(bucket)){
+			bucket = this.buckets[key] = {tokens: limit.capacity, updatedAt: now};
+		}
+
+		let elapsed = (now - bucket.updatedAt) / 1000;
+		bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsed * limit.refillPerSecond);
+		bucket.updatedAt = now;
+		return bucket;
+	}
+
+	/* Forget every bucket whose key starts with the given prefix */
+	forget(prefix){
+		Object.keys(this.buckets).forEach((key)=>{
+			if(key.indexOf(prefix) === 0){
+				delete this.buckets[key];
+			}
+		});
+	}
+}
+
+module.exports = RateLimiter;
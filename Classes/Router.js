@@ -0,0 +1,339 @@
+const MdsmError = require("./MdsmError.js");
+
+/* Matches incoming requests to endpoints. Endpoint URLs may contain path parameters
+ * (/api/player/:id) and a trailing wildcard (/static/*), and may be restricted to certain
+ * HTTP methods. Endpoints are tried in the order they were declared; the first match wins.
+ * Endpoints may be added, removed and replaced at any time, optionally under a mount prefix
+ * that groups them (e.g. those registered by one feature module). */
+class Router{
+	constructor(){
+		this.routes = [];			// Compiled endpoints, in declaration order. Schema: {endpoint, segments, methods, prefix, index}
+		this.staticRoutes = new Map();	// Routes without parameters or wildcards, keyed by URL
+		this.dynamicRoutes = [];	// Routes with parameters or wildcards, in declaration order
+		this.bodyLimit = 0;			// Default max size in bytes of a parsed request body (0 = unlimited)
+	}
+
+	/* Replace the whole list of endpoints, whatever prefix they were added under */
+	setEndpoints(endpoints){
+		this.routes = [];
+		this.addEndpoints(endpoints, '');
+	}
+
+	/* Add endpoints after the existing ones, under a mount prefix ('' for none). The prefix
+	 * is prepended to their URLs. */
+	addEndpoints(endpoints, prefix){
+		this.routes = this.routes.concat(endpoints.map((endpoint)=>{
+			return this.compile(endpoint, prefix);
+		}));
+		this.buildIndex();
+	}
+
+	/* Replace the endpoints added under a mount prefix ('' for those added without one). The
+	 * new endpoints take the place of the first of the old ones, so that their precedence over
+	 * the endpoints under other prefixes stays the same. */
+	replaceEndpoints(endpoints, prefix){
+		prefix = this.trimURL(prefix || '');
+		let position = this.routes.findIndex((route)=>{
+			return route.prefix === prefix;
+		});
+		let kept = this.routes.filter((route)=>{
+			return route.prefix !== prefix;
+		});
+		if(position === -1){
+			position = kept.length;
+		}
+
+		let compiled = endpoints.map((endpoint)=>{
+			return this.compile(endpoint, prefix);
+		});
+		this.routes = kept.slice(0, position).concat(compiled, kept.slice(position));
+		this.buildIndex();
+	}
+
+	/* Remove the endpoints with the given URL under a mount prefix. If a method is given, only
+	 * the endpoints answering to it are removed. Returns the number of endpoints removed. */
+	removeEndpoint(url, method, prefix){
+		let fullURL = this.joinURL(prefix, url);
+		let count = this.routes.length;
+		this.routes = this.routes.filter((route)=>{
+			if(route.endpoint.url !== fullURL){
+				return true;
+			}
+			return !!(method) && !(this.acceptsMethod(route, method.toUpperCase()));
+		});
+		this.buildIndex();
+		return count - this.routes.length;
+	}
+
+	/* Compile an endpoint into a route. The endpoint is copied with its full URL, trimmed so
+	 * that it's uniform, and the URL is split into segments once here rather than on every
+	 * request. The caller's object is left untouched, so it may be added again. */
+	compile(endpoint, prefix){
+		let url = this.joinURL(prefix, endpoint.url);
+
+		/* A method may be given as a single string or as a list. No method means any. */
+		let methods = null;
+		if(endpoint.method){
+			methods = [].concat(endpoint.method).map((m)=>{
+				return m.toUpperCase();
+			});
+		}
+
+		return {
+			endpoint: Object.assign({}, endpoint, { url: url }),
+			segments: url.split('/'),
+			methods: methods,
+			prefix: this.trimURL(prefix || ''),
+			index: 0,
+		};
+	}
+
+	/* Number the routes and index them again after the list changed. Routes with plain URLs
+	 * are indexed by URL, so that matching them doesn't depend on the number of endpoints. */
+	buildIndex(){
+		this.staticRoutes = new Map();
+		this.dynamicRoutes = [];
+		this.routes.forEach((route, index)=>{
+			route.index = index;
+			let isDynamic = route.segments.some((segment)=>{
+				return segment === '*' || segment.charAt(0) === ':';
+			});
+			if(isDynamic){
+				this.dynamicRoutes.push(route);
+			}
+			else if(this.staticRoutes.has(route.endpoint.url)){
+				this.staticRoutes.get(route.endpoint.url).push(route);
+			}
+			else {
+				this.staticRoutes.set(route.endpoint.url, [route]);
+			}
+		});
+	}
+
+	/* Join a mount prefix and an endpoint URL into one trimmed URL */
+	joinURL(prefix, url){
+		return [this.trimURL(prefix || ''), this.trimURL(url)].filter((part)=>{
+			return part !== '';
+		}).join('/');
+	}
+
+	/* Returns the endpoint matching an HTTP method and request URL, along with the path
+	 * parameters and query string extracted from the URL, or null if nothing matches.
+	 * Schema: {endpoint, path, params, query} */
+	match(method, url){
+		let parsed = this.parseURL(url);
+		let found = null;
+		let params = {};
+
+		/* The first plain route with this exact URL that accepts the method */
+		let candidates = this.staticRoutes.get(parsed.path) || [];
+		for(let i = 0; i < candidates.length; i++){
+			if(this.acceptsMethod(candidates[i], method)){
+				found = candidates[i];
+				break;
+			}
+		}
+
+		/* A route with parameters declared before it still takes precedence */
+		let pathSegments = parsed.path.split('/');
+		for(let i = 0; i < this.dynamicRoutes.length; i++){
+			let route = this.dynamicRoutes[i];
+			if(found && route.index > found.index){
+				break;
+			}
+			if(!(this.acceptsMethod(route, method))){
+				continue;
+			}
+
+			let routeParams = this.matchSegments(route.segments, pathSegments);
+			if(routeParams){
+				found = route;
+				params = routeParams;
+				break;
+			}
+		}
+
+		if(!(found)){
+			return null;
+		}
+		return {
+			endpoint: found.endpoint,
+			path: parsed.path,
+			params: params,
+			query: parsed.query,
+		};
+	}
+
+	/* True if a route answers to the given HTTP method */
+	acceptsMethod(route, method){
+		return !(route.methods) || route.methods.includes(method);
+	}
+
+	/* Compare the segments of an endpoint URL against those of a request path. Returns an
+	 * object of path parameters if they match, or null if they don't. */
+	matchSegments(pattern, actual){
+		let params = {};
+		for(let i = 0; i < pattern.length; i++){
+			/* A wildcard swallows the remainder of the path (which may be empty) */
+			if(pattern[i] === '*'){
+				params['*'] = actual.slice(i).join('/');
+				return params;
+			}
+
+			if(i >= actual.length){
+				return null;
+			}
+
+			/* A named parameter matches any single, non-empty segment */
+			if(pattern[i].charAt(0) === ':' && actual[i] !== ''){
+				try{
+					params[pattern[i].substring(1)] = decodeURIComponent(actual[i]);
+				} catch(error){
+					return null;	// Malformed percent-encoding
+				}
+			}
+			else if(pattern[i] !== actual[i]){
+				return null;
+			}
+		}
+
+		/* Every segment matched, but the request path may still be longer than the pattern */
+		return (pattern.length === actual.length) ? params : null;
+	}
+
+	/* Split a request URL into a trimmed path and an object of query parameters. Parameters
+	 * that appear more than once are collected into an array. */
+	parseURL(url){
+		let queryStart = url.indexOf('?');
+		let path = (queryStart === -1) ? url : url.substring(0, queryStart);
+		let query = {};
+
+		if(queryStart !== -1){
+			new URLSearchParams(url.substring(queryStart + 1)).forEach((value, key)=>{
+				if(!(key in query)){
+					query[key] = value;
+				} else {
+					query[key] = [].concat(query[key], value);
+				}
+			});
+		}
+
+		return {
+			path: this.trimURL(path),
+			query: query,
+		};
+	}
+
+	/* Build the context object passed to an endpoint's handler. Returns a Promise, since
+	 * endpoints with parseBody set need the request body read and parsed as JSON first.
+	 * Rejects with an MDSM error if the body is too large, is not valid JSON, or doesn't
+	 * arrive in full. */
+	buildContext(req, route){
+		let context = {
+			method: req.method,
+			path: route.path,
+			params: route.params,
+			query: route.query,
+			body: null,
+		};
+
+		if(!(route.endpoint.parseBody)){
+			return Promise.resolve(context);
+		}
+
+		/* In Middleware mode, a body parser (such as express.json()) may have read the body
+		 * already. Use what it parsed; a body read by anything else is lost to us. */
+		if(req.body !== undefined){
+			return this.parseBody(req.body, context);
+		}
+		if(req.readableEnded){
+			return Promise.resolve(context);
+		}
+
+		/* An endpoint may set its own size limit, otherwise use the router-wide one */
+		let limit = (route.endpoint.bodyLimit !== undefined) ? route.endpoint.bodyLimit : this.bodyLimit;
+
+		return new Promise((resolve, reject)=>{
+			let chunks = [];
+			let size = 0;
+			let tooLarge = false;
+			let ended = false;
+
+			/* An upload that is aborted or fails never ends; settle rather than wait forever */
+			let failed = ()=>{
+				if(!(ended)){
+					reject(new MdsmError({
+						errorCode: 19,	// Error code 19: Request body not received in full
+						errorText: 'MDSM Error: The request body was not received in full.',
+					}));
+				}
+			};
+			req.on('aborted', failed);
+			req.on('error', failed);
+			req.on('close', failed);
+
+			req.on('data', (chunk)=>{
+				if(tooLarge){
+					return;		// Keep draining the request, but stop buffering it
+				}
+
+				size += chunk.length;
+				if(limit && size > limit){
+					tooLarge = true;
+					reject(new MdsmError({
+						errorCode: 8,	// Error code 8: Request body too large
+						errorText: `MDSM Error: Request body exceeds the ${limit} byte limit.`,
+					}));
+					return;
+				}
+				chunks.push(chunk);
+			});
+
+			req.on('end', ()=>{
+				ended = true;
+				if(tooLarge){
+					return;
+				}
+				this.parseBody(Buffer.concat(chunks), context).then(resolve, reject);
+			});
+		});
+	}
+
+	/* Set context.body from a request body: raw (a Buffer or string, parsed as JSON), or
+	 * already parsed upstream. Rejects with an MDSM error if it is not valid JSON. */
+	parseBody(body, context){
+		if(!(Buffer.isBuffer(body)) && typeof body !== 'string'){
+			context.body = body;
+			return Promise.resolve(context);
+		}
+
+		let raw = body.toString('utf8');
+
+		/* An empty body is not an error; the handler just gets a null body */
+		if(raw.length > 0){
+			try{
+				context.body = JSON.parse(raw);
+			} catch(error){
+				return Promise.reject(new MdsmError({
+					errorCode: 7,	// Error code 7: Invalid request body
+					errorText: 'MDSM Error: Request body is not valid JSON.',
+				}));
+			}
+		}
+		return Promise.resolve(context);
+	}
+
+	/* If the URL starts or begins with slashes, trims it to remove them. */
+	trimURL(url){
+		let trimmedUrl = url;
+		if(trimmedUrl.charAt(0) === '/'){
+			trimmedUrl = trimmedUrl.substring(1,trimmedUrl.length);
+		}
+		if(trimmedUrl.charAt(trimmedUrl.length - 1) === '/'){
+			trimmedUrl = trimmedUrl.substring(0,trimmedUrl.length - 1);
+		}
+		return trimmedUrl;
+	}
+}
+
+module.exports = Router;
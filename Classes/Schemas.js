@@ -0,0 +1,258 @@
+/* Schemas for the objects passed to MDSM's public functions, checked by the Validator. They
+ * follow the descriptions in Documentation.txt, which remains the reference for what each
+ * property means. Unknown properties are allowed everywhere, so that applications may keep
+ * their own settings alongside MDSM's. */
+
+const nonNegativeInteger = { type: 'integer', minimum: 0 };
+const nonNegativeNumber = { type: 'number', minimum: 0 };
+const url = { type: 'string', minLength: 1 };
+
+const rateLimit = {
+	type: 'object',
+	required: ['capacity', 'refillPerSecond'],
+	properties: {
+		capacity: { type: 'number', minimum: 1 },
+		refillPerSecond: { type: 'number', minimum: 0 },
+	},
+};
+
+/* Schemas an endpoint may declare for its requests, checked before its handler runs */
+const endpointSchemas = {
+	type: 'object',
+	properties: {
+		body: { type: 'object' },
+		sessionData: { type: 'object' },
+		clientData: { type: 'object' },
+	},
+};
+
+const endpoint = {
+	type: 'object',
+	required: ['url', 'allowedClassTypes', 'handler'],
+	properties: {
+		url: { type: 'string' },
+		method: { type: ['string', 'array'], items: { type: 'string' } },
+		parseBody: { type: 'boolean' },
+		bodyLimit: nonNegativeInteger,
+		allowedClassTypes: {
+			type: ['array', 'object'],
+			items: { type: 'string' },
+			additionalProperties: { type: 'array', items: { type: 'string' } },
+		},
+		rateLimit: {
+			type: 'object',
+			required: rateLimit.required,
+			properties: Object.assign({
+				scope: { type: 'string', enum: ['client', 'session'] },
+			}, rateLimit.properties),
+		},
+		requiresLease: { type: 'string', minLength: 1 },
+		authorize: { type: 'function' },
+		handlerTimeout: nonNegativeInteger,
+		handler: { type: 'function' },
+		schemas: endpointSchemas,
+	},
+};
+
+/* Options of mdsm.addEndpoint(), removeEndpoint() and replaceEndpoints() */
+const endpointOptions = {
+	type: 'object',
+	properties: {
+		prefix: { type: 'string' },
+		method: { type: 'string', minLength: 1 },
+	},
+};
+
+/* Settings of a session, given to createSession() or as initConfig.sessionDefaults */
+const sessionSettings = {
+	timeToLive: { type: 'number', minimum: 1 },
+	slidingExpiration: { type: 'boolean' },
+	requestQuota: nonNegativeInteger,
+	capacity: { type: 'object', additionalProperties: nonNegativeInteger },
+	maxClients: nonNegativeInteger,
+	overflowPolicy: {
+		type: ['string', 'object'],
+		pattern: '^(reject|replaceOldest)$',
+		additionalProperties: { type: 'string', enum: ['reject', 'replaceOldest'] },
+	},
+};
+
+const initConfig = {
+	type: 'object',
+	required: ['mode', 'endpoints'],
+	properties: {
+		mode: { type: 'string', enum: ['Port', 'Middleware'] },
+		port: { type: 'integer', minimum: 0, maximum: 65535 },
+		subscribeURL: url,
+		changesURL: url,
+		changeLogSize: nonNegativeInteger,
+		leaseURL: url,
+		leaseTimeToLive: nonNegativeNumber,
+		mailboxURL: url,
+		pollTimeout: nonNegativeNumber,
+		ackTimeout: nonNegativeNumber,
+		mailboxSize: { type: 'integer', minimum: 1 },
+		joinURL: url,
+		maxQueueDepth: nonNegativeInteger,
+		handlerTimeout: nonNegativeInteger,
+		secret: { type: 'string', minLength: 1 },
+		keys: { type: 'array', minItems: 1, items: { type: ['string', 'buffer'], minLength: 1 } },
+		store: {
+			type: 'object',
+			required: ['load', 'saveSession', 'removeSession'],
+			properties: {
+				load: { type: 'function' },
+				saveSession: { type: 'function' },
+				removeSession: { type: 'function' },
+			},
+		},
+		cookie: {
+			type: 'object',
+			properties: {
+				name: { type: 'string', pattern: '^[!#$%&\'*+\\-.^_`|~0-9A-Za-z]+$' },
+				path: { type: ['string', 'null'] },
+				domain: { type: ['string', 'null'] },
+				maxAge: { type: ['number', 'null'] },
+				httpOnly: { type: 'boolean' },
+				secure: { type: ['boolean', 'string'], enum: [true, false, 'auto'] },
+				sameSite: { type: ['string', 'null'], enum: ['Strict', 'Lax', 'None', null] },
+			},
+		},
+		bearer: { type: 'boolean' },
+		credentialHeader: { type: ['string', 'null'] },
+		clientTimeToLive: nonNegativeNumber,
+		activeWindow: nonNegativeNumber,
+		slidingExpiration: { type: 'boolean' },
+		rateLimits: {
+			type: 'object',
+			properties: {
+				client: rateLimit,
+				classes: { type: 'object', additionalProperties: rateLimit },
+				session: rateLimit,
+			},
+		},
+		requestQuota: nonNegativeInteger,
+		bodyLimit: nonNegativeInteger,
+		classInheritance: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+		accessDenied: {
+			type: 'object',
+			properties: {
+				statusCode: { type: 'integer', minimum: 100, maximum: 599 },
+				message: { type: 'string' },
+			},
+		},
+		errorHandler: { type: ['function', 'null'] },
+		sessionDefaults: { type: 'object', properties: sessionSettings },
+		clock: {
+			type: 'object',
+			required: ['now', 'setTimeout', 'clearTimeout'],
+			properties: {
+				now: { type: 'function' },
+				setTimeout: { type: 'function' },
+				clearTimeout: { type: 'function' },
+			},
+		},
+		logger: {
+			type: ['object', 'null'],
+			required: ['debug', 'info', 'warn', 'error'],
+			properties: {
+				debug: { type: 'function' },
+				info: { type: 'function' },
+				warn: { type: 'function' },
+				error: { type: 'function' },
+			},
+		},
+		admin: {
+			type: 'object',
+			properties: {
+				url: url,
+				token: { type: 'string', minLength: 1 },
+				authorize: { type: 'function' },
+			},
+		},
+		metrics: {
+			type: ['boolean', 'object'],
+			properties: {
+				url: url,
+				token: { type: 'string', minLength: 1 },
+			},
+		},
+		endpoints: { type: 'array', items: endpoint },
+		https: { type: 'object' },
+	},
+};
+
+const newSessionInfo = {
+	type: 'object',
+	required: ['timeToLive'],
+	properties: Object.assign({
+		sessionID: { type: ['string', 'null'], minLength: 1 },	// null lets createSession() generate one
+	}, sessionSettings),
+};
+
+/* Options of mdsm.createJoinCode() and session.createJoinCode() */
+const joinCodeOptions = {
+	type: 'object',
+	required: ['clientClass'],
+	properties: {
+		clientClass: { type: 'string', minLength: 1 },
+		clientData: { type: ['object', 'null'] },
+		maxUses: nonNegativeInteger,
+		timeToLive: nonNegativeNumber,
+	},
+};
+
+const newClientInfo = {
+	type: 'object',
+	required: ['session', 'clientClass'],
+	properties: {
+		session: { type: ['object', 'string'] },
+		clientClass: { type: 'string', minLength: 1 },
+		timeToLive: nonNegativeNumber,
+		res: { type: 'object' },
+	},
+};
+
+/* Snapshots made by mdsm.exportSession(), for mdsm.importSession() */
+const sessionSnapshot = {
+	type: 'object',
+	required: ['format', 'formatVersion', 'sessionID', 'timeLeft', 'clients'],
+	properties: {
+		format: { type: 'string', enum: ['mdsm-session'] },
+		formatVersion: { type: 'integer', enum: [1] },
+		sessionID: { type: 'string', minLength: 1 },
+		timeLeft: nonNegativeNumber,
+		timeToLive: nonNegativeNumber,
+		slidingExpiration: { type: 'boolean' },
+		stateVersion: nonNegativeInteger,
+		requestCount: nonNegativeInteger,
+		requestQuota: nonNegativeInteger,
+		capacity: { type: 'object', additionalProperties: nonNegativeInteger },
+		maxClients: nonNegativeInteger,
+		clients: {
+			type: 'array',
+			items: {
+				type: 'object',
+				required: ['clientID', 'clientClass'],
+				properties: {
+					clientID: { type: 'string', minLength: 1 },
+					clientClass: { type: 'string', minLength: 1 },
+					timeToLive: nonNegativeNumber,
+					idleFor: nonNegativeNumber,
+				},
+			},
+		},
+	},
+};
+
+module.exports = {
+	initConfig: initConfig,
+	endpoint: endpoint,
+	endpoints: { type: 'array', items: endpoint },
+	endpointURL: { type: 'string' },
+	endpointOptions: endpointOptions,
+	newSessionInfo: newSessionInfo,
+	newClientInfo: newClientInfo,
+	joinCodeOptions: joinCodeOptions,
+	sessionSnapshot: sessionSnapshot,
+};
@@ -1,24 +1,168 @@
 const crypto = require('crypto');
 const Client = require("./Client.js");
+const StateLog = require("./StateLog.js");
+const RateLimiter = require("./RateLimiter.js");
+const MdsmError = require("./MdsmError.js");
+const systemClock = require("./Clock.js");
 
 class Session{
 	constructor(newSessionInfo){
 		this.sessionID = newSessionInfo.sessionID;
 		this.expiryDate = newSessionInfo.expiryDate;
-		this.clientList = [];
-		this.validEndpoints = newSessionInfo.validEndpoints;
+		this.mailboxOptions = newSessionInfo.mailboxOptions || {};	// Given to each client's Mailbox. Schema: {maxSize, ackTimeout, pollTimeout}
+		this.clock = newSessionInfo.clock || systemClock;	// Shared clock, for expiry, idle times and leases
+
+		/* Clients keyed by clientID, in order of arrival. Restored from a store, if any. */
+		this.clients = new Map();
+		(newSessionInfo.clients || []).forEach((c)=>{
+			this.clients.set(c.clientID, new Client(Object.assign({}, c, {mailboxOptions: this.mailboxOptions, clock: this.clock})));
+		});
+
+		/* Sessions with sliding expiration live until timeToLive ms after their last request,
+		 * rather than until a fixed expiryDate. See touch(). */
+		this.timeToLive = newSessionInfo.timeToLive || 0;
+		this.slidingExpiration = Boolean(newSessionInfo.slidingExpiration);
+		this.router = newSessionInfo.router;	// Shared Router, used to look up the endpoint for a request
+		this.accessControl = newSessionInfo.accessControl;	// Shared AccessControl, decides who may call an endpoint
+		this.events = newSessionInfo.events;	// Shared EventEmitter for lifecycle events
+		this.joinCodes = newSessionInfo.joinCodes;	// Shared JoinCodes, used to pair new devices
+		this.scheduler = newSessionInfo.scheduler;	// Shared ExpiryScheduler, runs the idle timers of clients
+		this.validator = newSessionInfo.validator;	// Shared Validator, checks requests against endpoint schemas
 		this.sessionData = newSessionInfo.sessionData;
+
+		/* Versions sessionData and keeps a log of recent changes to it as JSON Patches */
+		this.stateLog = new StateLog({
+			version: newSessionInfo.stateVersion,
+			maxEntries: newSessionInfo.changeLogSize,
+		});
+		this.subscribers = [];	// Open Server-Sent Events streams. Schema: {client, res}
+
+		/* Named leases (locks) held by clients, keyed by name. A lease gives one client at a
+		 * time exclusive use of something, e.g. control of the display. Leases are kept in
+		 * memory only. Schema: {name, clientID, timeToLive, expiryDate} */
+		this.leases = {};
+
+		/* Clients seen within this many ms (or with an open stream) count as active in
+		 * getPresence(). */
+		this.activeWindow = newSessionInfo.activeWindow;
+
+		/* Capacity rules: most clients of each class (classes not listed are unlimited), most
+		 * clients overall (0 = unlimited), and what to do when a new client would break them:
+		 * 'reject' it, or 'replaceOldest' client of its class. The policy may be given per
+		 * class as an object. */
+		this.capacity = newSessionInfo.capacity || {};
+		this.maxClients = newSessionInfo.maxClients || 0;
+		this.overflowPolicy = newSessionInfo.overflowPolicy || 'reject';
+
+		/* Requests for this session are handled one at a time, in arrival order, so that
+		 * handlers never interleave their changes to sessionData. */
+		this.requestQueue = [];		// Pending requests. Schema: {req, res, mdsmCookie, next, route, context}
+		this.isProcessing = false;	// True while a handler for this session is running
+		this.idleWaiters = [];		// Resolve functions of whenIdle() Promises, called once the queue empties
+		this.maxQueueDepth = newSessionInfo.maxQueueDepth;		// Max pending requests (0 = unlimited)
+		this.handlerTimeout = newSessionInfo.handlerTimeout;	// Default handler time limit in ms (0 = none)
+
+		/* Rate limits for requests to this session's endpoints (see Documentation for the
+		 * schema), and an optional cap on the number of requests over the session's lifetime */
+		this.rateLimits = newSessionInfo.rateLimits || {};
+		this.rateLimiter = new RateLimiter(this.clock);
+		this.requestQuota = newSessionInfo.requestQuota || 0;		// 0 = unlimited
+		this.requestCount = newSessionInfo.requestCount || 0;		// Restored sessions keep their count
+
+		/* Called with this session whenever its clients or sessionData may have changed, so
+		 * that the change can be persisted. Optional. */
+		this.onChange = newSessionInfo.onChange || function(){};
+
+		/* Restored clients pick up their idle timers where they left off */
+		this.clients.forEach((c)=>{
+			this.scheduleEviction(c);
+		});
 	}
 
-	/* Add a client to the clientList */
+	/* Returns a plain, JSON-serializable record of this session for a storage adapter.
+	 * See Documentation for the session record schema. */
+	toRecord(){
+		return {
+			sessionID: this.sessionID,
+			expiryDate: this.expiryDate,
+			timeToLive: this.timeToLive,
+			slidingExpiration: this.slidingExpiration,
+			sessionData: this.sessionData,
+			stateVersion: this.stateLog.version,
+			requestCount: this.requestCount,
+			requestQuota: this.requestQuota,
+			capacity: this.capacity,
+			maxClients: this.maxClients,
+			overflowPolicy: this.overflowPolicy,
+			clients: Array.from(this.clients.values()).map((c)=>{
+				return {
+					clientID: c.clientID,
+					clientClass: c.clientClass,
+					clientData: c.clientData,
+					lastSeen: c.lastSeen,
+					timeToLive: c.timeToLive,
+				};
+			}),
+		};
+	}
+
+	/* Returns a snapshot of this session that can be imported into this or another MDSM
+	 * instance. Unlike toRecord(), times are relative (the session's time left, and how long
+	 * each client has been idle), so that the snapshot can be imported later. See
+	 * Documentation for the snapshot schema. */
+	toSnapshot(){
+		let now = this.clock.now();
+		let record = this.toRecord();
+		return {
+			format: 'mdsm-session',
+			formatVersion: 1,
+			sessionID: record.sessionID,
+			timeLeft: Math.max(record.expiryDate - now, 0),
+			timeToLive: record.timeToLive,
+			slidingExpiration: record.slidingExpiration,
+			sessionData: record.sessionData,
+			stateVersion: record.stateVersion,
+			requestCount: record.requestCount,
+			requestQuota: record.requestQuota,
+			capacity: record.capacity,
+			maxClients: record.maxClients,
+			overflowPolicy: record.overflowPolicy,
+			clients: record.clients.map((c)=>{
+				return {
+					clientID: c.clientID,
+					clientClass: c.clientClass,
+					clientData: c.clientData,
+					timeToLive: c.timeToLive,
+					idleFor: now - c.lastSeen,
+				};
+			}),
+		};
+	}
+
+	/* Add a client to the session. Returns the client's (unencrypted) cookie, or an MDSM
+	 * error object if the session's capacity rules refuse the client. Clients moved in from
+	 * another session keep their clientID and lastSeen; merged clients skip the capacity
+	 * rules (ignoreCapacity). */
 	addClient(newClientData){
+		/* Make room for the client, or refuse it if the session's capacity rules don't allow it */
+		let capacityError = newClientData.ignoreCapacity ? null : this.makeRoomFor(newClientData.clientClass);
+		if(capacityError){
+			return capacityError;
+		}
+
 		let newClient = new Client({
-			clientID: crypto.randomFillSync(Buffer.alloc(32), 0, 32).toString('hex'),
+			clientID: newClientData.clientID || crypto.randomFillSync(Buffer.alloc(32), 0, 32).toString('hex'),
 			clientClass: newClientData.clientClass,
 			clientData: newClientData.clientData,
+			lastSeen: newClientData.lastSeen,
+			timeToLive: newClientData.timeToLive,
+			mailboxOptions: this.mailboxOptions,
+			clock: this.clock,
 		});
 
-		this.clientList.push(newClient);
+		this.clients.set(newClient.clientID, newClient);
+		this.scheduleEviction(newClient);
+		this.onChange(this);
 
 		let clientCookieObj = {
 			sessionID: this.sessionID,
@@ -28,33 +172,790 @@ class Session{
 		return JSON.stringify(clientCookieObj);
 	}
 
-	/* Delete a client */
-	removeClient(clientID){
-		let matchingClients = this.clientList.filter((c)=>{
-			return c.clientID === clientID;
+	/* Check the capacity rules before a client of the given class is added. If the class or
+	 * the session is full and the policy for the class is 'replaceOldest', the oldest client
+	 * of the class is removed to make room. Returns null if the client may be added, or the
+	 * error to return otherwise. */
+	makeRoomFor(clientClass){
+		let sameClass = Array.from(this.clients.values()).filter((c)=>{
+			return c.clientClass === clientClass;
+		});
+		let classLimit = this.capacity[clientClass];
+		let classFull = (classLimit !== undefined && classLimit !== null && sameClass.length >= classLimit);
+		let sessionFull = (this.maxClients && this.clients.size >= this.maxClients);
+
+		if(!(classFull) && !(sessionFull)){
+			return null;
+		}
+
+		let policy = (typeof this.overflowPolicy === 'object') ? this.overflowPolicy[clientClass] : this.overflowPolicy;
+		if(policy === 'replaceOldest' && sameClass.length > 0){
+			this.removeClient(sameClass[0].clientID, 'replaced');	// clients are kept in order of arrival
+			return null;
+		}
+
+		return new MdsmError({
+			errorCode: 16,	// Error code 16: Session is at capacity
+			errorText: classFull ?
+				`MDSM Error: Session already has the maximum of ${classLimit} '${clientClass}' clients.` :
+				`MDSM Error: Session already has the maximum of ${this.maxClients} clients.`,
+			reason: classFull ? 'classFull' : 'sessionFull',
+			clientClass: clientClass,
+			limit: classFull ? classLimit : this.maxClients,
+		});
+	}
+
+	/* Delete a client. Its cookie stops working immediately, and any event stream it has
+	 * open is closed. The reason is passed on with the clientRemoved event ('removed' unless
+	 * given). Returns true if the client was found and removed. */
+	removeClient(clientID, reason){
+		let client = this.clients.get(clientID);
+		if(!(client)){
+			return false;
+		}
+
+		this.clients.delete(clientID);
+		this.scheduler.cancel(this.evictionKey(client));
+		client.mailbox.close();
+		this.rateLimiter.forget('client:' + client.clientID);
+		this.rateLimiter.forget('endpoint:' + client.clientID);
+
+		/* Hang up on the client's event streams */
+		this.subscribers.filter((s)=>{
+			return s.client === client;
+		}).forEach((s)=>{
+			s.res.end();
+			this.subscribers.splice(this.subscribers.indexOf(s),1);
+		});
+
+		/* Its leases are freed for other clients */
+		Object.keys(this.leases).forEach((name)=>{
+			if(this.leases[name].clientID === client.clientID){
+				delete this.leases[name];
+			}
+		});
+
+		this.onChange(this);
+		this.events.emit('clientRemoved', {
+			sessionID: this.sessionID,
+			clientID: client.clientID,
+			clientClass: client.clientClass,
+			reason: reason || 'removed',
+		});
+		return true;
+	}
+
+	/* Issue a join code that adds a client of options.clientClass to this session when it is
+	 * redeemed at the join URL. See Documentation for the options schema. Returns an MDSM
+	 * error (errorCode 17) if the options are invalid. */
+	createJoinCode(options){
+		let invalid = this.validator.check('joinCodeOptions', options);
+		if(invalid){
+			return invalid;
+		}
+		return this.joinCodes.issue(this.sessionID, options);
+	}
+
+	/* Find the client that an MDSM cookie was issued to. Returns undefined if the client
+	 * has since been removed from the session. */
+	findClient(mdsmCookie){
+		let clientID = JSON.parse(mdsmCookie).clientID;
+		let client = this.clients.get(clientID);
+
+		if(!(client)){
+			this.events.emit('cookieInvalid', {
+				reason: 'clientNotFound',
+				sessionID: this.sessionID,
+				clientID: clientID,
+			});
+		}
+		return client;
+	}
+
+	/* Record activity from a client. Activity also keeps the client's leases alive, unless
+	 * they have already expired. */
+	touchClient(client){
+		client.touch();
+		this.pruneLeases();
+		Object.keys(this.leases).forEach((name)=>{
+			let lease = this.leases[name];
+			if(lease.clientID === client.clientID && lease.timeToLive){
+				lease.expiryDate = this.clock.now() + lease.timeToLive;
+			}
+		});
+	}
+
+	/* Returns the lease with the given name, or null if nobody holds it. Leases whose
+	 * holder has been idle for longer than the lease's timeToLive are let go here. */
+	getLease(name){
+		let lease = this.leases[name];
+		if(lease && lease.expiryDate <= this.clock.now()){
+			delete this.leases[name];
+			return null;
+		}
+		return lease || null;
+	}
+
+	/* Acquire a lease for a client, or renew it if the client already holds it. A timeToLive
+	 * of 0 means the lease is held until it is released or the client is removed. Returns
+	 * the lease, or null if another client holds it. */
+	acquireLease(name, clientID, timeToLive){
+		this.pruneLeases();
+		let current = this.getLease(name);
+		if(current && current.clientID !== clientID){
+			return null;
+		}
+
+		let lease = {
+			name: name,
+			clientID: clientID,
+			timeToLive: timeToLive,
+			expiryDate: timeToLive ? this.clock.now() + timeToLive : Infinity,
+		};
+		this.leases[name] = lease;
+		return lease;
+	}
+
+	/* Forget every lease that has expired */
+	pruneLeases(){
+		let now = this.clock.now();
+		Object.keys(this.leases).forEach((name)=>{
+			if(this.leases[name].expiryDate <= now){
+				delete this.leases[name];
+			}
+		});
+	}
+
+	/* Release a lease. If a clientID is given, the lease is only released if that client
+	 * holds it. Returns true if the lease was released. */
+	releaseLease(name, clientID){
+		let current = this.getLease(name);
+		if(!(current) || (clientID && current.clientID !== clientID)){
+			return false;
+		}
+		delete this.leases[name];
+		return true;
+	}
+
+	/* True if the client currently holds the named lease */
+	holdsLease(name, clientID){
+		let current = this.getLease(name);
+		return (current !== null && current.clientID === clientID);
+	}
+
+	/* Answer a client's request to the lease URL for the named lease, as JSON. POST acquires
+	 * (or renews) the lease for the client, DELETE releases it, and GET describes it. */
+	sendLease(req,res,mdsmCookie,next,name,timeToLive){
+		let client = this.findClient(mdsmCookie);
+
+		/* The cookie decrypted fine, but the client is no longer part of this session */
+		if(!(client)){
+			next(this.clientNotFoundError());
+			return;
+		}
+		this.touchClient(client);
+
+		/* Lease requests count against the same limits as requests to endpoints */
+		let limitError = this.checkLimits(client, null);
+		if(limitError){
+			next(limitError);
+			return;
+		}
+
+		let body;
+		if(req.method === 'POST'){
+			let lease = this.acquireLease(name, client.clientID, timeToLive);
+			if(!(lease)){
+				next(this.leaseHeldError(name));
+				return;
+			}
+			body = lease;
+		}
+		else if(req.method === 'DELETE'){
+			body = {released: this.releaseLease(name, client.clientID)};
+		}
+		else {
+			body = this.getLease(name);
+		}
+
+		res.setHeader('Content-Type', 'application/json');
+		res.end(JSON.stringify(body));
+	}
+
+	/* Post a message to the mailboxes of other clients in this session. message.to addresses
+	 * clients by clientID, and message.toClass by clientClass (each may be a single value or
+	 * a list). The sender (from, a clientID or null for server code) never receives its own
+	 * message. Returns the number of mailboxes the message was posted to. */
+	postMessage(from, message){
+		let toIDs = (message.to !== undefined) ? [].concat(message.to) : [];
+		let toClasses = (message.toClass !== undefined) ? [].concat(message.toClass) : [];
+
+		let recipients = Array.from(this.clients.values()).filter((c)=>{
+			return c.clientID !== from && (toIDs.includes(c.clientID) || toClasses.includes(c.clientClass));
+		});
+
+		recipients.forEach((c)=>{
+			c.mailbox.post(from, message.payload);
+		});
+
+		return recipients.length;
+	}
+
+	/* Answer a client's request to the mailbox URL, as JSON. GET long-polls the client's own
+	 * mailbox: messages whose IDs are listed in ?ack= are acknowledged first, then the due
+	 * messages are returned, waiting up to ?wait= ms (capped at the pollTimeout) for one to
+	 * arrive. POST posts the message in the JSON body ({to, toClass, payload}) to other
+	 * clients. */
+	sendMailbox(req,res,mdsmCookie,next){
+		let client = this.findClient(mdsmCookie);
+
+		/* The cookie decrypted fine, but the client is no longer part of this session */
+		if(!(client)){
+			next(this.clientNotFoundError());
+			return;
+		}
+		this.touchClient(client);
+
+		let parsed = this.router.parseURL(req.url);
+		let respond = (body)=>{
+			res.setHeader('Content-Type', 'application/json');
+			res.end(JSON.stringify(body));
+		};
+
+		if(req.method === 'POST'){
+			/* Posting counts against the same limits as requests to endpoints */
+			let limitError = this.checkLimits(client, null);
+			if(limitError){
+				next(limitError);
+				return;
+			}
+
+			/* Read the message like the body of an endpoint with parseBody set */
+			let route = {endpoint: {parseBody: true}, path: parsed.path, params: {}, query: parsed.query};
+			this.router.buildContext(req, route).then((context)=>{
+				let message = context.body || {};
+				respond({delivered: this.postMessage(client.clientID, message)});
+			}).catch(next);
+			return;
+		}
+
+		if(parsed.query.ack){
+			client.mailbox.ack([].concat(parsed.query.ack).join(',').split(','));
+		}
+
+		let pollTimeout = this.mailboxOptions.pollTimeout || 0;
+		let wait = Math.min(parseInt(parsed.query.wait, 10) || 0, pollTimeout);
+
+		let cancel = client.mailbox.wait(wait, (messages)=>{
+			respond({messages: messages});
+		});
+
+		/* Stop waiting if the device gives up on the poll */
+		res.on('close', cancel);
+	}
+
+	/* The error for a request whose cookie decrypted fine, but whose client is no longer
+	 * part of this session */
+	clientNotFoundError(){
+		return new MdsmError({
+			errorCode: 1,	// Error code 1: Invalid MDSM cookie
+			errorText: 'MDSM Error: Invalid MDSM cookie. Could not find matching client.',
 		});
-		if(matchingClients.length > 0){
-			//Delete 1 object at the index of the client
-			clientList.splice(clientList.indexOf(matchingClients[0]),1);
-			delete matchingClients[0];	//Delete the reference to the object
+	}
+
+	/* Builds the error passed to next() when a client needs a lease it doesn't hold */
+	leaseHeldError(name){
+		return new MdsmError({
+			errorCode: 13,	// Error code 13: Lease not held
+			errorText: `MDSM Error: Lease '${name}' is held by another client.`,
+		});
+	}
+
+	/* True if the client currently has an event stream open */
+	isConnected(client){
+		return this.subscribers.some((s)=>{
+			return s.client === client;
+		});
+	}
+
+	/* If the client has a timeToLive, set a timer to evict it once it has been idle for that
+	 * long. Like session expiry, eviction is not guaranteed: if the client was seen in the
+	 * meantime, the timer is set again for its new deadline. A client with an open event
+	 * stream is never idle. */
+	scheduleEviction(client){
+		if(!(client.timeToLive)){
+			return;
 		}
+
+		this.scheduler.schedule(this.evictionKey(client), client.lastSeen + client.timeToLive, ()=>{
+			if(this.isConnected(client)){
+				this.touchClient(client);
+			}
+
+			if(this.clock.now() - client.lastSeen >= client.timeToLive){
+				this.removeClient(client.clientID, 'evicted');
+			} else {
+				this.scheduleEviction(client);
+			}
+		});
 	}
 
-	/* Process a request originating from a host with a valid MDSM cookie matching this session */
+	/* The key of a client's idle deadline in the shared scheduler */
+	evictionKey(client){
+		return 'client:' + this.sessionID + ':' + client.clientID;
+	}
+
+	/* Returns a plain description of a client, for listing */
+	describeClient(client){
+		return {
+			clientID: client.clientID,
+			clientClass: client.clientClass,
+			clientData: client.clientData,
+			lastSeen: client.lastSeen,
+			timeToLive: client.timeToLive,
+			connected: this.isConnected(client),
+		};
+	}
+
+	/* Returns a description of every client in the session */
+	listClients(){
+		return Array.from(this.clients.values()).map((c)=>{
+			return this.describeClient(c);
+		});
+	}
+
+	/* Returns the clients that are currently active (seen within the activeWindow, or with an
+	 * open event stream), grouped by clientClass. See Documentation for the schema. */
+	getPresence(){
+		let presence = {
+			sessionID: this.sessionID,
+			classes: {},
+		};
+
+		this.clients.forEach((c)=>{
+			let connected = this.isConnected(c);
+			if(!(connected) && this.clock.now() - c.lastSeen > this.activeWindow){
+				return;
+			}
+
+			if(!(presence.classes[c.clientClass])){
+				presence.classes[c.clientClass] = [];
+			}
+			presence.classes[c.clientClass].push({
+				clientID: c.clientID,
+				lastSeen: c.lastSeen,
+				connected: connected,
+			});
+		});
+
+		return presence;
+	}
+
+	/* Process a request originating from a host with a valid MDSM cookie matching this session.
+	 * The request is placed at the back of the session's queue, and will be handled once every
+	 * request ahead of it has finished. */
 	processRequest(req,res,mdsmCookie,next){
-		let client = this.clientList.filter((c)=>{
-			return c.clientID === JSON.parse(mdsmCookie).clientID;
-		})[0];
+		/* The cookie decrypted fine, but the client is no longer part of this session */
+		let client = this.findClient(mdsmCookie);
+		if(!(client)){
+			next(this.clientNotFoundError());
+			return;
+		}
+		this.touchClient(client);
+
+		/* Refuse the request if the queue is already at capacity */
+		if(this.maxQueueDepth && this.requestQueue.length >= this.maxQueueDepth){
+			next(new MdsmError({
+				errorCode: 4,	// Error code 4: Session request queue is full
+				errorText: 'MDSM Error: Too many pending requests for this session.',
+			}));
+			return;
+		}
+
+		/* Refuse the request if the client, its class, the session or the endpoint is over
+		 * its rate limit, or the session has used up its quota */
+		let route = this.router.match(req.method, req.url);
+		let limitError = this.checkLimits(client, route.endpoint);
+		if(limitError){
+			next(limitError);
+			return;
+		}
+
+		/* Start reading the request body (if the endpoint wants it parsed) right away, so that
+		 * slow uploads don't hold up the queue. Errors are dealt with once the job runs. */
+		let context = this.router.buildContext(req, route);
+		context.catch(()=>{});
+
+		this.requestQueue.push({req: req, res: res, mdsmCookie: mdsmCookie, next: next, route: route, context: context});
+		this.processQueue();
+	}
+
+	/* Counts a request from a client against the session's quota and every rate limit that
+	 * applies to it. Returns null if the request may go ahead, or the error to pass to next().
+	 * The endpoint is optional, for requests to built-in URLs. */
+	checkLimits(client, endpoint){
+		if(this.requestQuota && this.requestCount >= this.requestQuota){
+			return new MdsmError({
+				errorCode: 15,	// Error code 15: Session request quota used up
+				errorText: `MDSM Error: This session has used up its quota of ${this.requestQuota} requests.`,
+			});
+		}
+
+		/* Bucket keys only need to be unique within this session */
+		let limits = this.rateLimits;
+		let checks = [];
+		if(limits.client){
+			checks.push({key: 'client:' + client.clientID, limit: limits.client});
+		}
+		if(limits.classes && limits.classes[client.clientClass]){
+			checks.push({key: 'class:' + client.clientClass, limit: limits.classes[client.clientClass]});
+		}
+		if(limits.session){
+			checks.push({key: 'session', limit: limits.session});
+		}
+
+		/* An endpoint's limit applies to each client, or to all of the session's clients together */
+		if(endpoint && endpoint.rateLimit && endpoint.rateLimit.scope === 'session'){
+			checks.push({key: 'sessionEndpoint:' + endpoint.url, limit: endpoint.rateLimit});
+		}
+		else if(endpoint && endpoint.rateLimit){
+			checks.push({key: 'endpoint:' + client.clientID + ':' + endpoint.url, limit: endpoint.rateLimit});
+		}
 
-		let endpoint = this.validEndpoints.filter((ep)=>{
-			return ep.url === this.trimURL(req.url);
-		})[0];
+		let wait = this.rateLimiter.consume(checks);
+		if(wait === Infinity){
+			return new MdsmError({
+				errorCode: 14,	// Error code 14: Rate limited
+				errorText: 'MDSM Error: Too many requests. The limit does not refill.',
+			});
+		}
+		if(wait > 0){
+			return new MdsmError({
+				errorCode: 14,	// Error code 14: Rate limited
+				errorText: 'MDSM Error: Too many requests. Try again later.',
+				retryAfter: Math.ceil(wait / 1000),		// In seconds, as in the Retry-After header
+			});
+		}
+
+		this.requestCount++;
+		return null;
+	}
 
-		if(endpoint.allowedClassTypes.includes(client.clientClass)){
-			endpoint.handler(this.sessionData,client.clientData,req,res,mdsmCookie);
+	/* Handle the request at the front of the queue, then move on to the next one. Does
+	 * nothing if a request is already being handled, since that one will pick up the rest
+	 * of the queue when it finishes. */
+	processQueue(){
+		if(this.isProcessing){
+			return;
 		}
 
-		res.end(`Your session is ${this.sessionID}. Your MDSM cookie is ${mdsmCookie}`);
+		/* Nothing left to do: let anyone waiting for the session to go idle know */
+		if(this.requestQueue.length === 0){
+			this.idleWaiters.forEach((resolve)=>{
+				resolve();
+			});
+			this.idleWaiters = [];
+			return;
+		}
+
+		this.isProcessing = true;
+		let job = this.requestQueue.shift();
+
+		this.handleRequest(job).then(()=>{
+			this.isProcessing = false;
+			this.processQueue();
+		});
+	}
+
+	/* Returns a Promise that resolves once every queued request has been handled */
+	whenIdle(){
+		if(!(this.isProcessing) && this.requestQueue.length === 0){
+			return Promise.resolve();
+		}
+		return new Promise((resolve)=>{
+			this.idleWaiters.push(resolve);
+		});
+	}
+
+	/* Check a request's body, the sessionData and the client's clientData against the schemas
+	 * declared by the endpoint (see Documentation). Returns null if they all match, or an MDSM
+	 * error (errorCode 18) for the first one that doesn't. */
+	checkSchemas(endpoint, client, context){
+		let schemas = endpoint.schemas;
+		if(!(schemas)){
+			return null;
+		}
+
+		let targets = [
+			{ target: 'body', value: context.body, label: 'Request body' },
+			{ target: 'sessionData', value: this.sessionData, label: 'Session data' },
+			{ target: 'clientData', value: client.clientData, label: 'Client data' },
+		];
+		for(let t of targets){
+			let problems = schemas[t.target] ? this.validator.validate(t.value, schemas[t.target], t.target) : [];
+			if(problems.length > 0){
+				return new MdsmError({
+					errorCode: 18,	// Error code 18: Request does not match the endpoint's schemas
+					errorText: `MDSM Error: ${t.label} does not match the schema of endpoint '${endpoint.url}': ${this.validator.describe(problems)}.`,
+					target: t.target,
+					errors: problems,
+					statusCode: (t.target === 'body') ? 400 : 409,	// A bad body is the client's fault, bad state a conflict
+				});
+			}
+		}
+		return null;
+	}
+
+	/* Run the endpoint handler for a single request. Handlers may return a Promise, which
+	 * is awaited (up to the endpoint's time limit) before the response is ended. Whatever the
+	 * handler returns (or its Promise resolves with) is sent as JSON, unless the handler wrote
+	 * the response itself. Always resolves, so that one failing handler cannot stall the queue. */
+	handleRequest(job){
+		let req = job.req, res = job.res, mdsmCookie = job.mdsmCookie, next = job.next;
+		let endpoint = job.route.endpoint;
+
+		/* The client may have been removed while the request was waiting in the queue */
+		let client = this.findClient(mdsmCookie);
+		if(!(client)){
+			next(this.clientNotFoundError());
+			return Promise.resolve();
+		}
+
+		let startTime = Date.now();
+
+		/* Resolves with the handler's result once the request context is ready and the client
+		 * has been authorized. Rejects with an access denied error if the client may not call
+		 * this endpoint. See Documentation for the context schema. */
+		let before = null;	// Snapshot of sessionData taken just before the handler runs
+		let run = job.context.then((context)=>{
+			return this.accessControl.authorize(endpoint, client, this.sessionData, context).then((allowed)=>{
+				if(!(allowed)){
+					throw this.accessControl.deniedError();
+				}
+
+				/* Endpoints may only be called by the holder of the lease they require */
+				if(endpoint.requiresLease && !(this.holdsLease(endpoint.requiresLease, client.clientID))){
+					throw this.leaseHeldError(endpoint.requiresLease);
+				}
+
+				/* Writes made against a stale version of the state are refused */
+				if(!(this.matchesVersion(req.headers['if-match']))){
+					throw new MdsmError({
+						errorCode: 12,	// Error code 12: State version mismatch
+						errorText: `MDSM Error: Session state has changed. Current version is ${this.stateLog.version}.`,
+						version: this.stateLog.version,
+					});
+				}
+
+				/* The body and state must match the schemas the endpoint declares, if any */
+				let schemaError = this.checkSchemas(endpoint, client, context);
+				if(schemaError){
+					throw schemaError;
+				}
+
+				context.version = this.stateLog.version;
+				context.sessionID = this.sessionID;
+				context.clientID = client.clientID;
+				before = this.stateLog.snapshot(this.sessionData);
+				return endpoint.handler(this.sessionData,client.clientData,req,res,mdsmCookie,context);
+			});
+		});
+
+		/* Record whatever the handler changed, even if it went on to fail */
+		let recordChanges = ()=>{
+			if(before !== null){
+				this.stateLog.record(before, this.sessionData);
+				before = null;
+			}
+		};
+
+		/* An endpoint may set its own time limit, otherwise use the session-wide one */
+		let timeLimit = (endpoint.handlerTimeout !== undefined) ? endpoint.handlerTimeout : this.handlerTimeout;
+		let timer = null;
+		let timeout = new Promise((resolve, reject)=>{
+			if(timeLimit){
+				timer = setTimeout(()=>{
+					reject(new MdsmError({
+						errorCode: 5,	// Error code 5: Handler timed out
+						errorText: `MDSM Error: Handler for endpoint '${endpoint.url}' did not finish within ${timeLimit}ms.`,
+					}));
+				}, timeLimit);
+			}
+		});
+
+		return Promise.race([run, timeout]).then((result)=>{
+			clearTimeout(timer);
+			recordChanges();
+
+			/* Serialize the result first, so that a result that can't be sent fails the request */
+			let written = res.headersSent || res.writableEnded;
+			let body = (result !== undefined && !(written)) ? JSON.stringify(result) : undefined;
+
+			this.onChange(this);	// The handler may have modified sessionData
+			this.events.emit('requestHandled', {
+				sessionID: this.sessionID,
+				clientID: client.clientID,
+				clientClass: client.clientClass,
+				method: req.method,
+				url: req.url,
+				endpoint: endpoint.url,
+				duration: Date.now() - startTime,
+			});
+			if(!(res.headersSent)){
+				res.setHeader('ETag', `"${this.stateLog.version}"`);
+			}
+			if(body !== undefined){
+				if(!(res.getHeader('Content-Type'))){
+					res.setHeader('Content-Type', 'application/json');
+				}
+				res.end(body);
+			}
+			else if(!(res.writableEnded)){
+				/* Nothing to send: a handler that neither wrote nor returned anything gets a 204 */
+				if(!(written) && res.statusCode === 200){
+					res.statusCode = 204;
+				}
+				res.end();
+			}
+		}).catch((error)=>{
+			clearTimeout(timer);
+			recordChanges();
+
+			/* Timeouts, body errors and denials already carry an error code. Anything else was
+			 * thrown by the handler. */
+			if(error && error.errorCode !== undefined){
+				next(error);
+			} else {
+				next(new MdsmError({
+					errorCode: 6,	// Error code 6: Handler threw an error
+					errorText: `MDSM Error: Handler for endpoint '${endpoint.url}' failed.`,
+					error: error,
+				}));
+			}
+		});
+	}
+
+	/* Checks an If-Match header value against the current state version. Requests without
+	 * the header, or with '*', always match. Accepts quoted and weak ETags ("3", W/"3"). */
+	matchesVersion(ifMatch){
+		if(ifMatch === undefined || ifMatch.trim() === '*'){
+			return true;
+		}
+		return ifMatch.split(',').some((tag)=>{
+			return tag.trim().replace(/^W\//, '').replace(/"/g, '') === String(this.stateLog.version);
+		});
+	}
+
+	/* Modify sessionData outside of an endpoint handler (e.g. from a timer or from server
+	 * code), so that the change is versioned and logged like a handler's. The mutator is
+	 * called with sessionData, and may modify it in place, or return a new sessionData to
+	 * replace it. Returns the new version. */
+	updateData(mutator){
+		let before = this.stateLog.snapshot(this.sessionData);
+		let replacement = mutator(this.sessionData);
+		if(replacement !== undefined){
+			this.sessionData = replacement;
+		}
+		this.stateLog.record(before, this.sessionData);
+		this.onChange(this);
+		return this.stateLog.version;
+	}
+
+	/* Respond to a client's request for the changes made since the version in its ?since=
+	 * query parameter, as JSON. If the log still holds those changes, responds with
+	 * {version, patch}; otherwise (or without ?since=) with {version, snapshot}. */
+	sendChanges(req,res,mdsmCookie,next){
+		let client = this.findClient(mdsmCookie);
+
+		/* The cookie decrypted fine, but the client is no longer part of this session */
+		if(!(client)){
+			next(this.clientNotFoundError());
+			return;
+		}
+		this.touchClient(client);
+
+		let since = parseInt(this.router.parseURL(req.url).query.since, 10);
+		let patch = isNaN(since) ? null : this.stateLog.changesSince(since);
+
+		let body = {version: this.stateLog.version};
+		if(patch){
+			body.patch = patch;
+		} else {
+			body.snapshot = this.sessionData;
+		}
+
+		res.setHeader('Content-Type', 'application/json');
+		res.setHeader('ETag', `"${this.stateLog.version}"`);
+		res.end(JSON.stringify(body));
+	}
+
+	/* Open a Server-Sent Events stream for a client with a valid MDSM cookie matching this
+	 * session. The response is kept open, and broadcast() writes events to it until the
+	 * client disconnects or the session expires. */
+	subscribe(req,res,mdsmCookie,next){
+		let client = this.findClient(mdsmCookie);
+
+		/* The cookie decrypted fine, but the client is no longer part of this session */
+		if(!(client)){
+			next(this.clientNotFoundError());
+			return;
+		}
+
+		res.writeHead(200, {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			'Connection': 'keep-alive',
+		});
+
+		this.touchClient(client);
+		let subscriber = {client: client, res: res};
+		this.subscribers.push(subscriber);
+
+		/* Stop writing to the stream once the device goes away */
+		req.on('close', ()=>{
+			let index = this.subscribers.indexOf(subscriber);
+			if(index !== -1){
+				this.subscribers.splice(index,1);	//Delete 1 object at the index of the subscriber
+				client.touch();		// Its idle time starts counting from the disconnect
+			}
+		});
+
+		/* Let the device know the stream is live */
+		res.write(this.formatEvent('connected', {
+			sessionID: this.sessionID,
+			clientID: client.clientID,
+		}));
+	}
+
+	/* Push an event to every subscribed client in this session. If options.toClasses is
+	 * given, only clients whose clientClass is in that list receive it. Returns the number
+	 * of streams the event was written to. */
+	broadcast(event, payload, options){
+		let toClasses = (options && options.toClasses) ? options.toClasses : null;
+		let frame = this.formatEvent(event, payload);
+
+		let recipients = this.subscribers.filter((s)=>{
+			return !(toClasses) || toClasses.includes(s.client.clientClass);
+		});
+
+		recipients.forEach((s)=>{
+			s.res.write(frame);
+		});
+
+		return recipients.length;
+	}
+
+	/* End every open stream. Called when the session expires. */
+	closeSubscriptions(){
+		this.subscribers.forEach((s)=>{
+			s.res.end();
+		});
+		this.subscribers = [];
+	}
+
+	/* Serialize an event into the Server-Sent Events wire format */
+	formatEvent(event, payload){
+		return `event: ${event}\ndata: ${JSON.stringify(payload === undefined ? null : payload)}\n\n`;
 	}
 
 	/* Extends the life of the current session by a specified number of milliseconds.
@@ -62,16 +963,44 @@ class Session{
 	 * expiry date before deleting the session. */
 	extendSessionLife(additionalLifeMs){
 		this.expiryDate += additionalLifeMs;
+		this.onChange(this);
+	}
+
+	/* Record activity in the session. With sliding expiration, this pushes the expiry date
+	 * back to timeToLive ms from now. Like extendSessionLife(), this only moves the date: the
+	 * pending expiry check finds the session still alive and checks again later. Returns true
+	 * if the expiry date moved. */
+	touch(){
+		if(!(this.slidingExpiration) || !(this.timeToLive)){
+			return false;
+		}
+		let expiryDate = this.clock.now() + this.timeToLive;
+		if(expiryDate <= this.expiryDate){
+			return false;
+		}
+		this.expiryDate = expiryDate;
+		return true;
+	}
+
+	/* Hang up on any devices still listening, and stop the idle timers of its clients.
+	 * Called when the session expires, or when MDSM is shut down. */
+	release(){
+		this.closeSubscriptions();
+		this.clients.forEach((c)=>{
+			this.scheduler.cancel(this.evictionKey(c));
+			c.mailbox.close();
+		});
 	}
 
 	/* Destroys the current session, but only if the expiry date is in the past. */
 	attemptSelfDestruct(){
 		/* Get the difference in ms between expiry date and the current time */
-		let true_ttl = this.expiryDate - Date.now();
+		let true_ttl = this.expiryDate - this.clock.now();
 
 		/* If the ttl is not positive (meaning the expiry date is smaller than the
 		 * current date), delete the session. */
 		if(true_ttl <= 0){
+			this.release();
 			delete this;	// Delete the Session object
 			return true;	// Signal that the deletion was successful
 		}
@@ -79,18 +1008,6 @@ class Session{
 		/* Otherwise, return false to indicate that the session should not be deleted yet */
 		else return false;
 	}
-
-	/* If the URL starts or begins with slashes, trims it to remove them. */
-	trimURL(url){
-		let trimmedUrl = url;
-		if(trimmedUrl.charAt(0) === '/'){
-			trimmedUrl = trimmedUrl.substring(1,trimmedUrl.length);
-		}
-		if(trimmedUrl.charAt(trimmedUrl.length - 1) === '/'){
-			trimmedUrl = trimmedUrl.substring(0,trimmedUrl.length - 1);
-		}
-		return trimmedUrl;
-	}
 }
 
 module.exports = Session;
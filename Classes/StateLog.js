@@ -0,0 +1,123 @@
+/* Tracks changes to a session's sessionData. Every change bumps a monotonically increasing
+ * version and is recorded as a JSON Patch (RFC 6902), so that a device that already holds
+ * version N can catch up by applying the patches made since. Only the most recent changes
+ * are kept; devices further behind than that must fetch the whole state. Changes are found
+ * by comparing JSON snapshots, so only JSON-serializable data is tracked. */
+class StateLog{
+	constructor(options){
+		this.version = options.version || 0;	// Restored sessions continue from their stored version
+		this.maxEntries = options.maxEntries;	// How many changes to keep
+		this.entries = [];						// Recorded changes, oldest first. Schema: {version, patch}
+	}
+
+	/* Returns a deep copy of the data, to compare against after it has been modified */
+	snapshot(data){
+		return (data === undefined) ? null : JSON.parse(JSON.stringify(data));
+	}
+
+	/* Compare a snapshot against the current data and, if anything changed, record the
+	 * difference as a new version. Returns the JSON Patch (empty if nothing changed). */
+	record(before, data){
+		let patch = [];
+		this.diff(before, this.snapshot(data), '', patch);
+
+		if(patch.length > 0){
+			this.version++;
+			this.entries.push({version: this.version, patch: patch});
+			if(this.entries.length > this.maxEntries){
+				this.entries.shift();
+			}
+		}
+		return patch;
+	}
+
+	/* Returns a single JSON Patch with every change made after the given version, or null
+	 * if those changes are no longer (or were never) in the log. */
+	changesSince(version){
+		if(version === this.version){
+			return [];
+		}
+
+		/* The first change after the given version must still be in the log */
+		let firstNeeded = version + 1;
+		if(version > this.version || this.entries.length === 0 || this.entries[0].version > firstNeeded){
+			return null;
+		}
+
+		let patch = [];
+		this.entries.forEach((entry)=>{
+			if(entry.version > version){
+				patch = patch.concat(entry.patch);
+			}
+		});
+		return patch;
+	}
+
+	/* Append the operations that turn one JSON value into another to the patch. Objects are
+	 * compared key by key and arrays index by index; anything else that differs is replaced. */
+	diff(before, after, path, patch){
+		if(this.isEqual(before, after)){
+			return;
+		}
+
+		let bothArrays = Array.isArray(before) && Array.isArray(after);
+		let bothObjects = this.isObject(before) && this.isObject(after);
+
+		if(bothArrays){
+			let common = Math.min(before.length, after.length);
+			for(let i = 0; i < common; i++){
+				this.diff(before[i], after[i], path + '/' + i, patch);
+			}
+			/* Remove surplus elements from the end, so earlier indices stay valid */
+			for(let i = before.length - 1; i >= after.length; i--){
+				patch.push({op: 'remove', path: path + '/' + i});
+			}
+			for(let i = before.length; i < after.length; i++){
+				patch.push({op: 'add', path: path + '/' + i, value: after[i]});
+			}
+		}
+
+		else if(bothObjects){
+			Object.keys(before).forEach((key)=>{
+				if(!(this.hasKey(after, key))){
+					patch.push({op: 'remove', path: path + '/' + this.escapeKey(key)});
+				}
+			});
+			Object.keys(after).forEach((key)=>{
+				let keyPath = path + '/' + this.escapeKey(key);
+				if(!(this.hasKey(before, key))){
+					patch.push({op: 'add', path: keyPath, value: after[key]});
+				} else {
+					this.diff(before[key], after[key], keyPath, patch);
+				}
+			});
+		}
+
+		else {
+			patch.push({op: 'replace', path: path, value: after});
+		}
+	}
+
+	/* Whether an object has a key of its own. Inherited members such as 'valueOf' or
+	 * 'constructor' don't count: a patch treating them as present would not apply. */
+	hasKey(object, key){
+		return Object.prototype.hasOwnProperty.call(object, key);
+	}
+
+	/* True for plain objects (not arrays or null) */
+	isObject(value){
+		return value !== null && typeof value === 'object' && !(Array.isArray(value));
+	}
+
+	/* Compare two JSON values */
+	isEqual(a, b){
+		return JSON.stringify(a) === JSON.stringify(b);
+	}
+
+	/* Escape an object key for use in a JSON Pointer (RFC 6901) */
+	escapeKey(key){
+		return key.replace(/~/g, '~0').replace(/\//g, '~1');
+	}
+}
+
+module.exports = StateLog;
@@ -0,0 +1,135 @@
+const Schemas = require("./Schemas.js");
+const MdsmError = require("./MdsmError.js");
+
+/* Checks values against schemas written in a small subset of JSON Schema: type, enum,
+ * properties, required, additionalProperties, items, minItems, minimum, maximum, minLength,
+ * maxLength and pattern. Types are the JSON Schema ones ('string', 'number', 'integer',
+ * 'boolean', 'object', 'array', 'null'), plus 'function' and 'buffer'; a list of types means
+ * any of them. Used for
+ * MDSM's own arguments (see Schemas.js) and for the schemas endpoints declare. */
+class Validator{
+	constructor(){
+		this.schemas = Schemas;	// Built-in schemas, keyed by the name of the value they describe
+	}
+
+	/* Check a value against one of the built-in schemas. Returns null if it is valid, or an
+	 * MDSM error (errorCode 17) listing every problem otherwise. */
+	check(name, value){
+		let problems = this.validate(value, this.schemas[name], name);
+		if(problems.length === 0){
+			return null;
+		}
+		return new MdsmError({
+			errorCode: 17,	// Error code 17: Invalid configuration or arguments
+			errorText: `MDSM Error: Invalid ${name}: ${this.describe(problems)}.`,
+			errors: problems,
+		});
+	}
+
+	/* Returns the problems with a value, as a list of {path, message}. The list is empty if
+	 * the value matches the schema. path names the value, e.g. 'initConfig'. */
+	validate(value, schema, path){
+		let problems = [];
+		if(!(schema)){
+			return problems;
+		}
+
+		if(schema.type && !(this.matchesType(value, schema.type))){
+			let types = [].concat(schema.type);
+			problems.push({ path: path, message: `must be of type ${types.join(' or ')}` });
+			return problems;	// The remaining keywords assume the type is right
+		}
+
+		if(schema.enum && schema.enum.indexOf(value) === -1){
+			problems.push({ path: path, message: `must be one of ${schema.enum.map((v)=>JSON.stringify(v)).join(', ')}` });
+		}
+
+		if(typeof value === 'number'){
+			if(schema.minimum !== undefined && value < schema.minimum){
+				problems.push({ path: path, message: `must be at least ${schema.minimum}` });
+			}
+			if(schema.maximum !== undefined && value > schema.maximum){
+				problems.push({ path: path, message: `must be at most ${schema.maximum}` });
+			}
+		}
+
+		if(typeof value === 'string'){
+			if(schema.minLength !== undefined && value.length < schema.minLength){
+				problems.push({ path: path, message: `must be at least ${schema.minLength} characters long` });
+			}
+			if(schema.maxLength !== undefined && value.length > schema.maxLength){
+				problems.push({ path: path, message: `must be at most ${schema.maxLength} characters long` });
+			}
+			if(schema.pattern && !(new RegExp(schema.pattern).test(value))){
+				problems.push({ path: path, message: `must match the pattern ${schema.pattern}` });
+			}
+		}
+
+		if(Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems){
+			problems.push({ path: path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+		}
+
+		if(Array.isArray(value) && schema.items){
+			value.forEach((item, i)=>{
+				problems = problems.concat(this.validate(item, schema.items, `${path}[${i}]`));
+			});
+		}
+
+		if(this.isObject(value)){
+			let properties = schema.properties || {};
+			(schema.required || []).forEach((key)=>{
+				if(value[key] === undefined){
+					problems.push({ path: `${path}.${key}`, message: 'is required' });
+				}
+			});
+			Object.keys(value).forEach((key)=>{
+				if(value[key] === undefined){
+					return;
+				}
+				if(properties[key]){
+					problems = problems.concat(this.validate(value[key], properties[key], `${path}.${key}`));
+				}
+				else if(schema.additionalProperties === false){
+					problems.push({ path: `${path}.${key}`, message: 'is not allowed' });
+				}
+				else if(typeof schema.additionalProperties === 'object'){
+					problems = problems.concat(this.validate(value[key], schema.additionalProperties, `${path}.${key}`));
+				}
+			});
+		}
+
+		return problems;
+	}
+
+	/* Whether a value is of the given type, or of one of a list of types */
+	matchesType(value, type){
+		return [].concat(type).some((t)=>{
+			switch(t){
+				case 'string': return typeof value === 'string';
+				case 'number': return typeof value === 'number' && !(isNaN(value));
+				case 'integer': return Number.isInteger(value);
+				case 'boolean': return typeof value === 'boolean';
+				case 'object': return this.isObject(value);
+				case 'array': return Array.isArray(value);
+				case 'function': return typeof value === 'function';
+				case 'buffer': return Buffer.isBuffer(value);
+				case 'null': return value === null;
+				default: return false;
+			}
+		});
+	}
+
+	/* Plain objects and class instances, but not arrays, functions or null */
+	isObject(value){
+		return value !== null && typeof value === 'object' && !(Array.isArray(value));
+	}
+
+	/* A readable summary of a list of problems, e.g. "initConfig.port must be of type integer" */
+	describe(problems){
+		return problems.map((p)=>{
+			return `${p.path} ${p.message}`;
+		}).join('; ');
+	}
+}
+
+module.exports = Validator;
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+
+/* The mdsm command: starts a Port mode MDSM server from a config file, so that running one
+ * doesn't take a script. The config is an initConfig (see Documentation) in a JSON file, or a
+ * JS file exporting it, where handlers may be given as paths to modules, HTTPS keys and
+ * certificates as paths to files, and a setup module may create the first sessions. SIGTERM
+ * and SIGINT shut the server down gracefully; SIGHUP reloads the endpoints and their handler
+ * modules without dropping sessions. See Documentation (CLI) for the config file. */
+const fs = require('fs');
+const path = require('path');
+const { createMdsm } = require("../mdsm.js");
+
+const USAGE = `Usage: mdsm [--check] [config file]
+
+Starts an MDSM server in Port mode, configured by the given file (a .json file, or a .js
+file exporting the config). Without a file, mdsm.config.js or mdsm.config.json in the
+current directory is used.
+
+  --check     Check the config file and exit, without starting the server
+  --help      Show this message
+
+Signals: SIGTERM and SIGINT stop the server once queued requests have finished.
+SIGHUP reloads the endpoints and their handler modules from the config file.`;
+
+/* Looked for in the current directory when no config file is given */
+const DEFAULT_CONFIG_FILES = ['mdsm.config.js', 'mdsm.config.json'];
+
+/* Default time in ms that a graceful shutdown waits for queued requests */
+const DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+
+/* A problem with the config file, described for the person running the command */
+class ConfigError extends Error{}
+
+/* Modules loaded for the config: the config file itself, handlers and setup. Dropped from
+ * the require cache on reload, so that edits to them are picked up. */
+let loadedModules = new Set();
+
+function main(args){
+	if(args.includes('--help') || args.includes('-h')){
+		console.log(USAGE);
+		return;
+	}
+
+	let checkOnly = args.includes('--check');
+	let files = args.filter((arg)=>{
+		return arg.charAt(0) !== '-';
+	});
+	let unknown = args.filter((arg)=>{
+		return arg.charAt(0) === '-' && arg !== '--check';
+	});
+	if(unknown.length > 0 || files.length > 1){
+		fail(`Unexpected arguments: ${unknown.concat(files.slice(1)).join(' ')}\n\n${USAGE}`);
+	}
+
+	let configFile = files[0] || DEFAULT_CONFIG_FILES.find((file)=>{
+		return fs.existsSync(file);
+	});
+	if(!(configFile)){
+		fail(`No config file given, and neither ${DEFAULT_CONFIG_FILES.join(' nor ')} was found in ${process.cwd()}.\n\n${USAGE}`);
+	}
+	configFile = path.resolve(configFile);
+
+	let config;
+	try{
+		config = loadConfig(configFile);
+	} catch(error){
+		fail(error.message);
+	}
+
+	if(checkOnly){
+		check(config, configFile);
+	} else {
+		start(config, configFile);
+	}
+}
+
+/* Validate the config the way init() would, without starting a server */
+function check(config, configFile){
+	let mdsm = createMdsm();
+	try{
+		mdsm.init(Object.assign({}, config, { mode: 'Middleware', logger: null }));
+	} catch(error){
+		fail(describe(error));
+	}
+	if(config.port === undefined){
+		fail('The config has no port. Port mode needs one.');
+	}
+	mdsm.close().then(()=>{
+		console.log(`mdsm: ${configFile} is valid (${config.endpoints.length} endpoints).`);
+	});
+}
+
+/* Start the server, run the setup module, and handle signals */
+function start(config, configFile){
+	let mdsm = createMdsm();
+	let listening = false;
+
+	/* A server that can't start is fatal; once running, errors are only logged (by MDSM) */
+	mdsm.on('serverError', (event)=>{
+		if(!(listening)){
+			fail('The server could not start. ' + event.errorText.replace(/^MDSM Error: /, ''));
+		}
+	});
+	mdsm.on('listening', ()=>{
+		listening = true;
+		console.log(`mdsm: Serving ${config.endpoints.length} endpoints from ${configFile}. Send SIGHUP to reload them.`);
+	});
+
+	try{
+		mdsm.init(config);
+	} catch(error){
+		fail(describe(error));
+	}
+
+	/* The setup module may create the first sessions, listen to events... */
+	if(config.setup){
+		Promise.resolve().then(()=>{
+			return config.setup(mdsm, config);
+		}).catch((error)=>{
+			fail(`The setup module failed: ${error && error.stack || error}`);
+		});
+	}
+
+	let shuttingDown = false;
+	let shutdown = (signal)=>{
+		/* A second signal means don't wait */
+		if(shuttingDown){
+			fail(`${signal} received again, exiting without waiting.`);
+		}
+		shuttingDown = true;
+		console.log(`mdsm: ${signal} received, shutting down once queued requests have finished.`);
+
+		let timeout = (config.shutdownTimeout !== undefined) ? config.shutdownTimeout : DEFAULT_SHUTDOWN_TIMEOUT;
+		mdsm.close({ drain: true, timeout: timeout }).then(()=>{
+			console.log('mdsm: Stopped.');
+			process.exit(0);
+		}, (error)=>{
+			fail(`Shutdown failed: ${error && error.stack || error}`);
+		});
+	};
+	process.on('SIGTERM', ()=>{ shutdown('SIGTERM'); });
+	process.on('SIGINT', ()=>{ shutdown('SIGINT'); });
+
+	/* Reload the endpoints (and their handler modules) from the config file. Other settings
+	 * need a restart. A config that doesn't load leaves the current endpoints in place. */
+	process.on('SIGHUP', ()=>{
+		console.log(`mdsm: SIGHUP received, reloading the endpoints from ${configFile}.`);
+		loadedModules.forEach((file)=>{
+			delete require.cache[file];
+		});
+		loadedModules.clear();
+
+		let result;
+		try{
+			result = mdsm.replaceEndpoints(loadConfig(configFile).endpoints);
+		} catch(error){
+			result = error;
+		}
+		if(result === true){
+			console.log('mdsm: Endpoints reloaded.');
+		} else {
+			console.error(`mdsm: Reload failed, the current endpoints stay in place. ${describe(result)}`);
+		}
+	});
+}
+
+/* Read a config file into an initConfig for Port mode. Handler, authorize, errorHandler and
+ * setup modules are loaded, and HTTPS files and the secret file are read, relative to the
+ * config file. Throws a ConfigError saying what is wrong. */
+function loadConfig(configFile){
+	if(!(fs.existsSync(configFile))){
+		throw new ConfigError(`Config file not found: ${configFile}`);
+	}
+
+	let raw;
+	try{
+		if(path.extname(configFile) === '.json'){
+			raw = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+		} else {
+			loadedModules.add(require.resolve(configFile));
+			raw = require(configFile);
+		}
+	} catch(error){
+		throw new ConfigError(`Could not read the config file ${configFile}: ${error.message}`);
+	}
+	if(!(raw) || typeof raw !== 'object' || Array.isArray(raw)){
+		throw new ConfigError(`The config file ${configFile} must contain an object.`);
+	}
+
+	let dir = path.dirname(configFile);
+	let config = Object.assign({}, raw, { mode: 'Port' });
+
+	if(config.secretFile){
+		config.secret = readFile(dir, config.secretFile, 'secretFile').toString('utf8').trim();
+		delete config.secretFile;
+	}
+	else if(!(config.secret) && !(config.keys) && process.env.MDSM_SECRET){
+		config.secret = process.env.MDSM_SECRET;
+	}
+
+	if(config.https){
+		config.https = Object.assign({}, config.https);
+		[['keyFile', 'key'], ['certFile', 'cert'], ['caFile', 'ca']].forEach((pair)=>{
+			if(config.https[pair[0]]){
+				config.https[pair[1]] = readFile(dir, config.https[pair[0]], 'https.' + pair[0]);
+				delete config.https[pair[0]];
+			}
+		});
+	}
+
+	if(!(Array.isArray(config.endpoints))){
+		throw new ConfigError('The config has no endpoints list.');
+	}
+	config.endpoints = config.endpoints.map((endpoint, i)=>{
+		if(!(endpoint) || typeof endpoint !== 'object'){
+			return endpoint;	// Left for init() to refuse
+		}
+		let where = `endpoints[${i}] (${endpoint.url})`;
+		let resolved = Object.assign({}, endpoint);
+		if(endpoint.handler !== undefined){
+			resolved.handler = loadFunction(dir, endpoint.handler, where + '.handler');
+		}
+		if(endpoint.authorize !== undefined){
+			resolved.authorize = loadFunction(dir, endpoint.authorize, where + '.authorize');
+		}
+		return resolved;
+	});
+
+	if(config.errorHandler){
+		config.errorHandler = loadFunction(dir, config.errorHandler, 'errorHandler');
+	}
+	if(config.admin && config.admin.authorize){
+		config.admin = Object.assign({}, config.admin, {
+			authorize: loadFunction(dir, config.admin.authorize, 'admin.authorize'),
+		});
+	}
+	if(config.setup){
+		config.setup = loadFunction(dir, config.setup, 'setup');
+	}
+	return config;
+}
+
+/* Returns a function given in the config: either the function itself (in JS configs), or a
+ * module path relative to the config file, optionally followed by #exportName, e.g.
+ * './handlers/game.js#move'. Paths that don't start with '.' or '/' name packages. */
+function loadFunction(dir, reference, where){
+	if(typeof reference === 'function'){
+		return reference;
+	}
+	if(typeof reference !== 'string'){
+		throw new ConfigError(`${where} must be a module path (or, in a JS config, a function).`);
+	}
+
+	let parts = reference.split('#');
+	let modulePath = parts[0];
+	let exportName = parts[1];
+
+	let file;
+	try{
+		file = require.resolve(/^[./]/.test(modulePath) ? path.resolve(dir, modulePath) : modulePath, { paths: [dir] });
+	} catch(error){
+		throw new ConfigError(`${where}: cannot find the module '${modulePath}' (looked from ${dir}).`);
+	}
+
+	let exported;
+	try{
+		loadedModules.add(file);
+		exported = require(file);
+	} catch(error){
+		throw new ConfigError(`${where}: the module ${file} failed to load: ${error.stack || error}`);
+	}
+
+	let fn = exportName ? exported[exportName] : exported;
+	if(typeof fn !== 'function'){
+		let what = exportName ? `its export '${exportName}'` : 'its module.exports';
+		throw new ConfigError(`${where}: ${what} in ${file} is not a function (got ${typeof fn}).`);
+	}
+	return fn;
+}
+
+/* Read a file named in the config, relative to the config file */
+function readFile(dir, file, where){
+	let fullPath = path.resolve(dir, file);
+	try{
+		return fs.readFileSync(fullPath);
+	} catch(error){
+		throw new ConfigError(`Could not read ${where} (${fullPath}): ${error.message}`);
+	}
+}
+
+/* A readable description of an MDSM error, with one line per problem, or of any other error */
+function describe(error){
+	if(error && Array.isArray(error.errors)){
+		return 'The config is invalid:\n' + error.errors.map((problem)=>{
+			return `  - ${problem.path} ${problem.message}`;
+		}).join('\n');
+	}
+	return (error && error.message) || String(error);
+}
+
+function fail(message){
+	console.error('mdsm: ' + message);
+	process.exit(1);
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,303 @@
+/* Client SDK for devices talking to an MDSM server, from browsers or from Node (18 or later,
+ * which has fetch). Pairs the device with a session by redeeming a join code, keeps its MDSM
+ * credential (in the browser's cookie jar, or itself), calls endpoints with JSON, and recovers
+ * when the credential stops working: when the session expired or the client was removed, it
+ * forgets the credential, asks the application for a new join code and retries once. See
+ * Documentation for the options and the API. Loaded with require('mdms/mdsm-client.js'), or
+ * with a <script> tag, which defines window.MdsmClient. */
+
+/* Error codes after which the credential is worthless: no credential, invalid credential */
+const CREDENTIAL_ERRORS = [0, 1];
+
+/* The error a request to the server fails with. Carries the MDSM error fields the server sent
+ * (errorCode, code, errorText and any details), and the HTTP status. errorCode is undefined if
+ * the response didn't come from MDSM (a proxy error page, for instance). */
+class MdsmClientError extends Error{
+	constructor(statusCode, body){
+		let fields = (body && typeof body === 'object') ? body : {};
+		super(fields.errorText || `MDSM request failed with HTTP status ${statusCode}.`);
+		Object.assign(this, fields);
+		this.statusCode = statusCode;
+		this.errorText = this.message;
+	}
+}
+MdsmClientError.prototype.name = 'MdsmClientError';
+
+class MdsmClient{
+	constructor(options){
+		options = options || {};
+		let inBrowser = (typeof window !== 'undefined' && typeof document !== 'undefined');
+
+		this.baseURL = (options.baseURL || '').replace(/\/+$/, '');	// Origin (and path prefix) of the MDSM server
+		this.joinURL = trimURL(options.joinURL || 'mdsm/join');
+		this.changesURL = trimURL(options.changesURL || 'mdsm/changes');
+		this.fetch = options.fetch || ((url, init)=>fetch(url, init));	// Unbound, window.fetch throws
+
+		/* How the credential travels: 'cookie', 'bearer' (Authorization header) or 'header'
+		 * (credentialHeader). Browsers keep the cookie themselves; elsewhere the client does. */
+		this.credentialMode = options.credentialMode || (inBrowser ? 'cookie' : 'bearer');
+		this.cookieJar = !(inBrowser && this.credentialMode === 'cookie');	// Whether the client handles the cookie itself
+		this.cookieName = options.cookieName || 'mdsm';
+		this.credentialHeader = (options.credentialHeader || 'x-mdsm-credential').toLowerCase();
+
+		/* Called as pair(client, error) when the credential stops working. Returns (or resolves
+		 * with) a join code to pair the device again, or nothing to give up. */
+		this.pair = options.pair || null;
+
+		/* Where the credential and session info are kept between runs: any object with the Web
+		 * Storage interface (getItem, setItem, removeItem), e.g. window.localStorage. */
+		this.storage = options.storage || null;
+		this.storageKey = options.storageKey || 'mdsm-client';
+
+		this.state = { credential: options.credential || null, sessionID: null, clientClass: null, version: null };
+		this.repairing = null;		// The pending re-pairing, shared by every request that needs it
+		this.pairings = 0;			// How many times the client has joined, so requests can tell it paired again
+		this.keepAliveTimer = null;
+		this.load();
+	}
+
+	/* What the client knows of its session: {sessionID, clientClass, version}, or null if it
+	 * hasn't been paired. version is the version of the state last fetched with sync(). */
+	get session(){
+		if(!(this.isPaired())){
+			return null;
+		}
+		return {
+			sessionID: this.state.sessionID,
+			clientClass: this.state.clientClass,
+			version: this.state.version,
+		};
+	}
+
+	/* Whether the client has a credential (or, in browsers using cookies, has joined a session) */
+	isPaired(){
+		return this.cookieJar ? this.state.credential !== null : this.state.sessionID !== null;
+	}
+
+	/* Redeem a join code. Resolves with the session info. */
+	join(code){
+		let url = this.joinURL + '?code=' + encodeURIComponent(code) + (this.cookieJar ? '&credential=1' : '');
+		return this.send('GET', url, undefined, {}).then((body)=>{
+			this.state = {
+				credential: this.cookieJar ? body.credential : null,
+				sessionID: body.sessionID,
+				clientClass: body.clientClass,
+				version: null,
+			};
+			this.pairings++;
+			this.save();
+			return this.session;
+		});
+	}
+
+	/* Call an endpoint. body, if given, is sent as JSON. Resolves with the response: parsed
+	 * JSON, text, or undefined for an empty response. Rejects with an MdsmClientError. If the
+	 * credential no longer works, the client is paired again (see pair) and the call retried
+	 * once. options.ifMatch sends the version of the state last fetched with sync() as
+	 * If-Match; options.headers adds headers. */
+	request(method, url, body, options){
+		options = options || {};
+		let pairings = this.pairings;
+		return this.send(method, url, body, options).catch((error)=>{
+			if(!(CREDENTIAL_ERRORS.includes(error.errorCode))){
+				throw error;
+			}
+
+			/* Sent before a re-pairing that has finished since: just retry with the new credential */
+			if(this.pairings !== pairings && !(this.repairing)){
+				return this.send(method, url, body, options);
+			}
+			return this.repair(error).then(()=>{
+				return this.send(method, url, body, options);
+			});
+		});
+	}
+
+	get(url, options){
+		return this.request('GET', url, undefined, options);
+	}
+
+	post(url, body, options){
+		return this.request('POST', url, body, options);
+	}
+
+	put(url, body, options){
+		return this.request('PUT', url, body, options);
+	}
+
+	delete(url, options){
+		return this.request('DELETE', url, undefined, options);
+	}
+
+	/* Fetch the changes made to sessionData since the state last fetched (see Versioned
+	 * state). Resolves with {version, patch} or {version, snapshot}. The client doesn't keep
+	 * the state itself: the application applies the patch to the state it got before. Only
+	 * these responses move the version on, since only they bring the state up to it. */
+	sync(){
+		let since = (this.state.version !== null) ? '?since=' + this.state.version : '';
+		return this.get(this.changesURL + since).then((changes)=>{
+			if(changes && typeof changes.version === 'number'){
+				this.state.version = changes.version;
+				this.save();
+			}
+			return changes;
+		});
+	}
+
+	/* Call sync() every interval ms, so that the session (with sliding expiration) and the
+	 * client stay alive while the device is idle. Failures are passed to onError, if given. */
+	startKeepAlive(interval, onError){
+		this.stopKeepAlive();
+		this.keepAliveTimer = setInterval(()=>{
+			this.sync().catch((error)=>{
+				if(onError){
+					onError(error);
+				}
+			});
+		}, interval);
+
+		/* Don't keep a Node process alive just for this */
+		if(this.keepAliveTimer.unref){
+			this.keepAliveTimer.unref();
+		}
+	}
+
+	stopKeepAlive(){
+		clearInterval(this.keepAliveTimer);
+		this.keepAliveTimer = null;
+	}
+
+	/* Drop the credential and session info, here and in storage */
+	forget(){
+		this.state = { credential: null, sessionID: null, clientClass: null, version: null };
+		this.save();
+	}
+
+	/* Forget the dead credential and pair again with a join code from pair(). Requests failing
+	 * at the same time wait for the same re-pairing. Rejects with the original error if there
+	 * is no pair function, or it gives no code. */
+	repair(error){
+		if(!(this.repairing)){
+			this.forget();
+			this.repairing = Promise.resolve().then(()=>{
+				return this.pair ? this.pair(this, error) : null;
+			}).then((code)=>{
+				if(!(code)){
+					throw error;
+				}
+				return this.join(code);
+			});
+			let done = ()=>{
+				this.repairing = null;
+			};
+			this.repairing.then(done, done);
+		}
+		return this.repairing;
+	}
+
+	/* Make one request, with the credential, and read the response */
+	send(method, url, body, options){
+		let headers = Object.assign({}, options.headers);
+		if(body !== undefined){
+			headers['content-type'] = 'application/json';
+		}
+		if(options.ifMatch && this.state.version !== null){
+			headers['if-match'] = `"${this.state.version}"`;
+		}
+
+		let credential = this.state.credential;
+		if(credential && this.credentialMode === 'cookie'){
+			headers['cookie'] = this.cookieName + '=' + credential;
+		}
+		else if(credential && this.credentialMode === 'bearer'){
+			headers['authorization'] = 'Bearer ' + credential;
+		}
+		else if(credential && this.credentialMode === 'header'){
+			headers[this.credentialHeader] = credential;
+		}
+
+		return this.fetch(this.baseURL + '/' + trimURL(url), {
+			method: method,
+			headers: headers,
+			body: (body !== undefined) ? JSON.stringify(body) : undefined,
+			credentials: 'include',		// Browsers only send and keep the cookie if asked to
+		}).then((response)=>{
+			this.readCredential(response);
+
+			return response.text().then((text)=>{
+				let type = response.headers.get('content-type') || '';
+				let result = text;
+				if(text === ''){
+					result = undefined;
+				}
+				else if(type.indexOf('application/json') === 0){
+					result = JSON.parse(text);
+				}
+
+				if(!(response.ok)){
+					throw new MdsmClientError(response.status, result);
+				}
+				return result;
+			});
+		});
+	}
+
+	/* Pick up a credential the server reissued (after the client was moved to another
+	 * session), from the credential header or, when the client keeps the cookie, Set-Cookie */
+	readCredential(response){
+		if(!(this.cookieJar)){
+			return;
+		}
+
+		let reissued = response.headers.get(this.credentialHeader);
+		let cookies = response.headers.getSetCookie ? response.headers.getSetCookie() : [];
+		cookies.forEach((cookie)=>{
+			let pair = cookie.split(';')[0];
+			let separator = pair.indexOf('=');
+			if(pair.substring(0, separator).trim() === this.cookieName && pair.substring(separator + 1) !== ''){
+				reissued = pair.substring(separator + 1);
+			}
+		});
+
+		if(reissued && reissued !== this.state.credential){
+			this.state.credential = reissued;
+			this.save();
+		}
+	}
+
+	/* Restore the credential and session info from storage, if any */
+	load(){
+		let saved = this.storage ? this.storage.getItem(this.storageKey) : null;
+		if(saved){
+			try{
+				this.state = Object.assign(this.state, JSON.parse(saved));
+			} catch(error){
+				this.storage.removeItem(this.storageKey);	// Unreadable; start over
+			}
+		}
+	}
+
+	save(){
+		if(!(this.storage)){
+			return;
+		}
+		if(this.state.credential === null && this.state.sessionID === null){
+			this.storage.removeItem(this.storageKey);
+		} else {
+			this.storage.setItem(this.storageKey, JSON.stringify(this.state));
+		}
+	}
+}
+
+MdsmClient.MdsmClientError = MdsmClientError;
+
+/* Trims leading and trailing slashes off a URL, as the server does */
+function trimURL(url){
+	return url.replace(/^\/+/, '').replace(/\/+$/, '');
+}
+
+if(typeof module !== 'undefined' && module.exports){
+	module.exports = MdsmClient;
+} else {
+	window.MdsmClient = MdsmClient;
+}
@@ -0,0 +1,337 @@
+/* Helpers for testing MDSM applications without a server or real waiting. A FakeClock stands
+ * in for the system clock (pass it to init() as initConfig.clock), so that session expiry,
+ * client eviction, leases and join codes happen when the test advances it. TestDevices send
+ * in-memory requests straight to processRequest(), each with its own cookie jar, so that
+ * several devices can share a session. A TestHarness sets up both around a Middleware mode
+ * instance. Loaded with require('mdms/mdsm-testing.js'). See Documentation. */
+const EventEmitter = require('events');
+const { Readable } = require('stream');
+const { createMdsm } = require("./mdsm.js");
+
+/* A clock that only moves when told to. Timers set on it run, in order, as advance() passes
+ * their time. Starts at the current time unless given another. */
+class FakeClock{
+	constructor(startTime){
+		this.time = (startTime !== undefined) ? startTime : Date.now();
+		this.timers = [];	// Pending timers, in no particular order. Schema: {id, time, callback}
+		this.nextID = 1;
+	}
+
+	now(){
+		return this.time;
+	}
+
+	setTimeout(callback, delay){
+		let timer = { id: this.nextID++, time: this.time + Math.max(delay || 0, 0), callback: callback };
+		this.timers.push(timer);
+		return timer.id;
+	}
+
+	clearTimeout(id){
+		this.timers = this.timers.filter((timer)=>{
+			return timer.id !== id;
+		});
+	}
+
+	/* Move the time forward by ms, running every timer that comes due on the way, at its own
+	 * time. Timers set by those timers run too, if they come due before the end. */
+	advance(ms){
+		let end = this.time + ms;
+		while(true){
+			let due = this.timers.filter((timer)=>{
+				return timer.time <= end;
+			});
+			if(due.length === 0){
+				break;
+			}
+
+			/* The earliest first; timers due at the same time in the order they were set */
+			let next = due.reduce((earliest, timer)=>{
+				return (timer.time < earliest.time || (timer.time === earliest.time && timer.id < earliest.id)) ? timer : earliest;
+			});
+			this.clearTimeout(next.id);
+			this.time = Math.max(this.time, next.time);
+			next.callback();
+		}
+		this.time = end;
+	}
+
+	/* Move the time forward to a date (ms since the epoch) */
+	advanceTo(time){
+		this.advance(Math.max(time - this.time, 0));
+	}
+}
+
+/* The request a TestDevice hands to processRequest(): a readable stream carrying the body,
+ * with the method, url and headers of an IncomingMessage */
+class TestRequest extends Readable{
+	constructor(method, url, headers, body){
+		super({ read(){} });
+		this.method = method;
+		this.url = url;
+		this.headers = headers;
+		this.socket = { encrypted: false };
+		if(body !== undefined){
+			this.push(body);
+		}
+		this.push(null);
+	}
+}
+
+/* The response a TestDevice hands to processRequest(). Collects the status, headers and body
+ * written to it, and emits 'finish' once ended. Headers are kept with lowercase names. On
+ * event streams, the events written are also collected, as {event, data}. */
+class TestResponse extends EventEmitter{
+	constructor(req){
+		super();
+		this.req = req;
+		this.statusCode = 200;
+		this.headers = {};
+		this.chunks = [];
+		this.events = [];
+		this.headersSent = false;
+		this.writableEnded = false;
+
+		/* Resolves once the response is ended, which may happen before processRequest() returns */
+		this.finished = new Promise((resolve)=>{
+			this.once('finish', resolve);
+		});
+	}
+
+	setHeader(name, value){
+		this.headers[name.toLowerCase()] = value;
+	}
+
+	getHeader(name){
+		return this.headers[name.toLowerCase()];
+	}
+
+	removeHeader(name){
+		delete this.headers[name.toLowerCase()];
+	}
+
+	writeHead(statusCode, headers){
+		this.statusCode = statusCode;
+		Object.keys(headers || {}).forEach((name)=>{
+			this.setHeader(name, headers[name]);
+		});
+		this.headersSent = true;
+		return this;
+	}
+
+	write(chunk){
+		this.headersSent = true;
+		this.chunks.push(String(chunk));
+
+		if(this.getHeader('content-type') === 'text/event-stream'){
+			let event = /^event: (.*)$/m.exec(chunk);
+			let data = /^data: (.*)$/m.exec(chunk);
+			if(event && data){
+				this.events.push({ event: event[1], data: JSON.parse(data[1]) });
+			}
+		}
+		return true;
+	}
+
+	end(chunk){
+		if(chunk !== undefined){
+			this.write(chunk);
+		}
+		this.headersSent = true;
+		this.writableEnded = true;
+		this.emit('finish');
+		return this;
+	}
+
+	/* Everything written so far */
+	get body(){
+		return this.chunks.join('');
+	}
+
+	/* The peer went away: what a device closing its connection looks like to MDSM */
+	close(){
+		this.req.emit('close');
+		this.emit('close');
+	}
+}
+
+/* A device talking to an MDSM instance in Middleware mode, in memory. Keeps the cookies set
+ * by responses in its own jar and sends them with every request, like a browser would.
+ * options.cookieName, joinURL and subscribeURL must match the instance's initConfig. */
+class TestDevice{
+	constructor(mdsm, options){
+		options = options || {};
+		this.mdsm = mdsm;
+		this.cookieName = options.cookieName || 'mdsm';
+		this.joinURL = options.joinURL || 'mdsm/join';
+		this.subscribeURL = options.subscribeURL || 'mdsm/subscribe';
+		this.cookies = {};		// The device's cookie jar, keyed by cookie name
+		this.headers = Object.assign({}, options.headers);	// Sent with every request
+		if(options.credential){
+			this.useCredential(options.credential);
+		}
+	}
+
+	/* The credential in the jar, or null */
+	get credential(){
+		return this.cookies[this.cookieName] || null;
+	}
+
+	/* Put a credential (e.g. one returned by mdsm.addClient()) in the jar */
+	useCredential(credential){
+		this.cookies[this.cookieName] = credential;
+	}
+
+	/* Redeem a join code. Resolves with the response, like request(). */
+	join(code){
+		return this.request('GET', '/' + this.joinURL + '?code=' + encodeURIComponent(code));
+	}
+
+	/* Send a request. A body that isn't a string is sent as JSON. Resolves once MDSM has
+	 * answered with {statusCode, headers, body, json, error}: json is the parsed body if it
+	 * was JSON, and error the MdsmError the request failed with, if it did. Failed requests
+	 * are answered as in Port mode. */
+	request(method, url, body, headers){
+		let res = this.open(method, url, body, headers);
+		return res.finished.then(()=>{
+			return this.describe(res);
+		});
+	}
+
+	get(url, headers){
+		return this.request('GET', url, undefined, headers);
+	}
+
+	post(url, body, headers){
+		return this.request('POST', url, body, headers);
+	}
+
+	put(url, body, headers){
+		return this.request('PUT', url, body, headers);
+	}
+
+	delete(url, headers){
+		return this.request('DELETE', url, undefined, headers);
+	}
+
+	/* Open an event stream on the subscribeURL. Returns the TestResponse, whose events array
+	 * collects the events received. Call its close() to disconnect. */
+	subscribe(){
+		return this.open('GET', '/' + this.subscribeURL);
+	}
+
+	/* Hand a request to MDSM, and return its response object right away */
+	open(method, url, body, headers){
+		headers = Object.assign({}, this.headers, headers);
+		let lowercase = {};
+		Object.keys(headers).forEach((name)=>{
+			lowercase[name.toLowerCase()] = headers[name];
+		});
+		if(body !== undefined && typeof body !== 'string'){
+			body = JSON.stringify(body);
+			lowercase['content-type'] = lowercase['content-type'] || 'application/json';
+		}
+
+		let jar = Object.keys(this.cookies).map((name)=>{
+			return name + '=' + this.cookies[name];
+		});
+		if(jar.length > 0){
+			lowercase['cookie'] = jar.join('; ');
+		}
+
+		let req = new TestRequest(method, url, lowercase, body);
+		let res = new TestResponse(req);
+		res.once('finish', ()=>{
+			this.storeCookies(res);
+		});
+		this.mdsm.processRequest(req, res, (error)=>{
+			res.error = error;
+			this.mdsm.sendError(res, error);
+		});
+		return res;
+	}
+
+	/* Keep the cookies a response set, and drop those it expired */
+	storeCookies(res){
+		[].concat(res.getHeader('set-cookie') || []).forEach((cookie)=>{
+			let parts = cookie.split(';');
+			let separator = parts[0].indexOf('=');
+			let name = parts[0].substring(0, separator).trim();
+			let value = parts[0].substring(separator + 1).trim();
+			let expired = parts.slice(1).some((attribute)=>{
+				return /^\s*max-age=0\s*$/i.test(attribute);
+			});
+
+			if(expired || value === ''){
+				delete this.cookies[name];
+			} else {
+				this.cookies[name] = value;
+			}
+		});
+	}
+
+	describe(res){
+		let json;
+		if(/^application\/json/.test(res.getHeader('content-type') || '')){
+			json = JSON.parse(res.body);
+		}
+		return {
+			statusCode: res.statusCode,
+			headers: res.headers,
+			body: res.body,
+			json: json,
+			error: res.error || null,
+		};
+	}
+}
+
+/* A Middleware mode instance on a FakeClock, with logging off, and a way to make devices for
+ * it. initConfig is passed to init(), with mode, logger and clock filled in unless given. */
+class TestHarness{
+	constructor(initConfig){
+		initConfig = initConfig || {};
+		this.clock = initConfig.clock || new FakeClock();
+		this.mdsm = createMdsm(Object.assign({
+			mode: 'Middleware',
+			logger: null,
+			endpoints: [],
+		}, initConfig, { clock: this.clock }));
+
+		/* What devices need to know of the instance's configuration */
+		this.deviceOptions = {
+			cookieName: initConfig.cookie && initConfig.cookie.name,
+			joinURL: initConfig.joinURL,
+			subscribeURL: initConfig.subscribeURL,
+		};
+	}
+
+	/* A new device. If a session is given, the device is added to it right away as a client
+	 * of clientClass; clientInfo may add clientData and timeToLive (see newClientInfo). */
+	device(session, clientClass, clientInfo){
+		let device = new TestDevice(this.mdsm, this.deviceOptions);
+		if(session){
+			let credential = this.mdsm.addClient(Object.assign({}, clientInfo, { session: session, clientClass: clientClass }));
+			if(typeof credential !== 'string'){
+				throw credential;	// The session refused the client
+			}
+			device.useCredential(credential);
+		}
+		return device;
+	}
+
+	/* Move the fake clock forward by ms */
+	advance(ms){
+		this.clock.advance(ms);
+	}
+
+	/* Stop the instance. Resolves once it has stopped. */
+	close(){
+		return this.mdsm.close();
+	}
+}
+
+module.exports = {
+	FakeClock: FakeClock,
+	TestDevice: TestDevice,
+	TestHarness: TestHarness,
+};
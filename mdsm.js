@@ -3,9 +3,50 @@ const http = require("http");
 const https = require("https");
 const crypto = require('crypto');
 
+/* Node.js core library for events. The MDSM instance emits lifecycle events. */
+const EventEmitter = require('events');
+
+/* Version of the cookie envelope produced by encrypt(). Bumped whenever the format changes,
+ * so that envelopes from an older format are rejected rather than misread. */
+const COOKIE_VERSION = '1';
+
+/* Lengths in bytes of the envelope's IV (96 bits, as recommended for GCM) and auth tag.
+ * Envelopes with other lengths are rejected. */
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
 /* Class to manage sessions */
 const Session = require("./Classes/Session.js");
 
+/* Class to match requests to endpoints */
+const Router = require("./Classes/Router.js");
+
+/* Class to decide which clients may call which endpoints */
+const AccessControl = require("./Classes/AccessControl.js");
+
+/* Class to keep track of join codes, used to pair new devices with a session */
+const JoinCodes = require("./Classes/JoinCodes.js");
+
+/* Class to run every session expiry and client eviction off a single timer */
+const ExpiryScheduler = require("./Classes/ExpiryScheduler.js");
+
+/* Classes for the admin API and the Prometheus metrics endpoint */
+const Admin = require("./Classes/Admin.js");
+const Metrics = require("./Classes/Metrics.js");
+
+/* Class to check arguments and request data against schemas */
+const Validator = require("./Classes/Validator.js");
+
+/* The error type of every MDSM error, with its stable code and default HTTP status */
+const MdsmError = require("./Classes/MdsmError.js");
+
+/* The system clock, used unless initConfig.clock substitutes another */
+const systemClock = require("./Classes/Clock.js");
+
+/* Built-in session storage adapters */
+const MemoryStore = require("./Classes/MemoryStore.js");
+const FileStore = require("./Classes/FileStore.js");
+
 /* MDSM uses a revealing module pattern to expose a public API. It's a function with
  * internal variables and functions that returns an object with references to the
  * public interface. This ensures good encapsulation. */
@@ -20,21 +61,219 @@ let mdsm = function(){
 		mode: null,	// To be set upon initialization [init()]. Valid values: {'Port','Middleware'}
 		port: null,	// Also to be set upon init(). HTTP/s server will listen on this port if on port mode.
 
-		/* Cookies are dynamically encrypted and decrypted. This secret is a unique 256-bit
-		 * key to be used for these purposes. */
-		secret: crypto.randomFillSync(Buffer.alloc(256), 0, 256).toString('base64'),
+		/* Devices open a Server-Sent Events stream on this URL to receive broadcasts from
+		 * their session. May be overridden upon init(). */
+		subscribeURL: 'mdsm/subscribe',
+
+		/* Devices fetch the changes made to sessionData since a given version on this URL
+		 * (?since=N). May be overridden upon init(). */
+		changesURL: 'mdsm/changes',
+
+		/* Number of sessionData changes each session keeps in its change log. Devices that
+		 * are further behind get the whole state. May be overridden upon init(). */
+		changeLogSize: 100,
+
+		/* Devices acquire (POST), release (DELETE) and inspect (GET) named leases on this URL
+		 * followed by the lease name, e.g. mdsm/lease/display. A lease expires once its holder
+		 * has made no requests for leaseTimeToLive ms (0 = never). Devices may ask for a
+		 * shorter time with ?ttl=ms. Both may be overridden upon init(). */
+		leaseURL: 'mdsm/lease',
+		leaseTimeToLive: 30000,
+
+		/* Devices long-poll their mailbox (GET) and post messages to other devices (POST) on
+		 * this URL. A poll waits at most pollTimeout ms. Messages not acknowledged within
+		 * ackTimeout ms are delivered again, and each mailbox holds at most mailboxSize
+		 * messages. All may be overridden upon init(). */
+		mailboxURL: 'mdsm/mailbox',
+		pollTimeout: 25000,
+		ackTimeout: 30000,
+		mailboxSize: 100,
+
+		/* New devices redeem a join code (issued by createJoinCode()) on this URL to be added
+		 * to a session and receive their MDSM cookie. May be overridden upon init(). */
+		joinURL: 'mdsm/join',
+
+		/* Each session handles its requests one at a time. These limit how many requests may
+		 * wait in a session's queue, and how long (in ms) a handler may run before the next
+		 * request is let through. 0 disables the limit. Both may be overridden upon init(). */
+		maxQueueDepth: 100,
+		handlerTimeout: 30000,
+
+		/* Token bucket rate limits for requests to endpoints, per client, per client class (in
+		 * each session), per session, and (set on the endpoint itself) per client and endpoint.
+		 * Sessions may also be capped at requestQuota requests over their lifetime (0 means
+		 * no cap). See Documentation for the schema. Both may be overridden upon init(). */
+		rateLimits: {},
+		requestQuota: 0,
+
+		/* Largest request body, in bytes, that endpoints with parseBody set will accept.
+		 * 0 disables the limit. May be overridden upon init(). */
+		bodyLimit: 102400,
+
+		/* Clients are evicted from their session after being idle for clientTimeToLive ms,
+		 * unless addClient() is given a timeToLive of its own. 0 means clients are never
+		 * evicted. Clients seen within the last activeWindow ms count as active in presence
+		 * views. Both may be overridden upon init(). */
+		clientTimeToLive: 0,
+		activeWindow: 60000,
+
+		/* If true, sessions live until their timeToLive has passed since their last request,
+		 * rather than since they were created. Sessions may also choose for themselves upon
+		 * createSession(). May be overridden upon init(). */
+		slidingExpiration: false,
+
+		/* Cookies are dynamically encrypted and decrypted with the keys in this key ring (see
+		 * buildKeyRing()). New cookies are always encrypted with the first key; the others are
+		 * only used to decrypt cookies issued before a key rotation. Unless persistent secrets
+		 * are passed to init(), the ring holds a single random key regenerated on every start. */
+		keyRing: null,
+
+		/* The encrypted credential is kept by browsers in a cookie, which MDSM sets with these
+		 * attributes (secure: 'auto' marks it Secure only when the request came over HTTPS).
+		 * Devices without a cookie jar may send it in an 'Authorization: Bearer' header instead,
+		 * unless bearer is false, or in the credentialHeader (null to disable). All may be
+		 * overridden upon init(). */
+		cookie: {
+			name: 'mdsm',
+			path: '/',
+			domain: null,
+			maxAge: null,	// In seconds. null makes it a browser session cookie
+			httpOnly: true,
+			secure: 'auto',
+			sameSite: 'Lax',
+		},
+		bearer: true,
+		credentialHeader: 'x-mdsm-credential',
+
+		/* Where MDSM writes its log messages. Any object with debug(), info(), warn() and
+		 * error() methods will do (console, pino, winston...). By default, debug messages are
+		 * dropped and the rest go to the console. May be overridden upon init(). */
+		logger: {
+			debug: function(){},
+			info: console.log,
+			warn: console.warn,
+			error: console.error,
+		},
+
+		/* Serves request counts, handler latencies and session and client counts in the
+		 * Prometheus text format on this URL, if enabled upon init(). */
+		metricsURL: null,
+		metricsToken: null,	// Bearer token the scraper must send, if set
+
+		/* Called with every MDSM error a request fails with, as (error, req, res, next), in
+		 * place of the default: answering with the error's HTTP status and JSON in Port mode,
+		 * and passing the error to the caller's next() in Middleware mode. Its next() falls back
+		 * to that default. May be set upon init(). */
+		errorHandler: null,
+
+		/* Defaults for the newSessionInfo given to createSession() (timeToLive, capacity...).
+		 * May be set upon init(). */
+		sessionDefaults: {},
 	};
+	MDSM_CONFIG.keyRing = buildKeyRing([crypto.randomBytes(32)]);
+
+	/* Session instances keyed by sessionID. See Sessions.js class for schema. */
+	let sessions = new Map();	// Will be populated with sessions as they are initialized
+
+	/* Reads the time and sets the timers for everything time-based: session expiry, client
+	 * eviction, leases, join codes, rate limits and mailboxes. Every session is given a
+	 * reference to it. May be replaced upon init() (by tests, with a fake clock). */
+	let clock = systemClock;
 
-	/* Lists of Session instances. See Sessions.js class for schema. */
-	let sessions = [];			// Will be populated with sessions as they are initialized
+	/* Runs the expiry checks of every session and the idle checks of every client. Every
+	 * session is given a reference to it. */
+	let scheduler = new ExpiryScheduler(clock);
 
-	/* List of Endpoints. See Documentation for object schema. */
-	let endpoints = [];			// Will contain a list of valid endpoints
+	/* Storage adapter that persists sessions, their clients and expiry dates. The sessions
+	 * array above remains the live list; the store is only written to and read upon init().
+	 * See Documentation for the adapter interface. */
+	let store = new MemoryStore();
+
+	/* Router holding the list of Endpoints. See Documentation for object schema. Every
+	 * session is given a reference to it. */
+	let router = new Router();		// Will be given the list of valid endpoints upon init()
+
+	/* The HTTP/S server created in Port mode. Stopped by close(). */
+	let server = null;
+
+	/* Set by close(). New requests are refused from then on. */
+	let isClosing = false;
+
+	/* Emits lifecycle events (see Documentation for the list of events and their payloads).
+	 * Becomes the public interface object, so callers can subscribe with mdsm.on(). Every
+	 * session is given a reference to it. */
+	let emitter = new EventEmitter();
+
+	/* Role model for client classes. Every session is given a reference to it. */
+	let accessControl = new AccessControl();
+
+	/* Join codes issued by every session. Every session is given a reference to it. */
+	let joinCodes = new JoinCodes();
+
+	/* Checks the arguments of init(), createSession() and addClient(), and the data of requests
+	 * to endpoints that declare schemas. Every session is given a reference to it. */
+	let validator = new Validator();
+
+	/* Counts requests and handler latencies, for the metrics endpoint. Fed by the instance's
+	 * own requestHandled and requestRejected events. */
+	let metrics = new Metrics();
+	emitter.on('requestHandled', (event)=>{
+		metrics.observeRequest(event.endpoint, event.duration);
+	});
+	emitter.on('requestRejected', (event)=>{
+		metrics.countError(event.endpoint, event.errorCode);
+	});
+
+	/* Where the clients moved out of a session went, so that their old cookies keep working:
+	 * maps sessionID + ':' + clientID to the sessionID the client was moved to. Kept in
+	 * memory only, until the old cookie could no longer have been used anyway. */
+	let forwards = new Map();
+
+	/* The admin API, if enabled upon init(). See Admin.js. */
+	let admin = null;
 
 	/* Initializes an instance of MDSM in either 'Port' mode (which listens for requests
 	 * on a specified port) or "Middleware" mode, which allows the processRequest function
 	 * to be  */
 	let init = function(initConfig){
+		/* Refuse a config that doesn't match the initConfig schema before anything is started.
+		 * The error thrown carries the MDSM error fields (errorCode 17) and the list of problems. */
+		let invalid = validator.check('initConfig', initConfig);
+		if(!(invalid) && initConfig.mode === 'Port' && initConfig.port === undefined){
+			invalid = new MdsmError({
+				errorCode: 17,	// Error code 17: Invalid configuration or arguments
+				errorText: 'MDSM Error: Invalid initConfig: initConfig.port is required in Port mode.',
+				errors: [{ path: 'initConfig.port', message: 'is required in Port mode' }],
+			});
+		}
+		if(invalid){
+			throw invalid;
+		}
+
+		/* Use another clock if one was given, before anything reads the time */
+		if(initConfig.clock){
+			clock = initConfig.clock;
+			scheduler.clear();
+			scheduler.clock = clock;
+			joinCodes.clock = clock;
+		}
+
+		if(initConfig.sessionDefaults){
+			MDSM_CONFIG.sessionDefaults = initConfig.sessionDefaults;
+		}
+
+		/* Use a custom error handler if one was given */
+		if(initConfig.errorHandler !== undefined){
+			MDSM_CONFIG.errorHandler = initConfig.errorHandler;
+		}
+
+		/* Use a custom logger if one was given. null silences MDSM. */
+		if(initConfig.logger !== undefined){
+			MDSM_CONFIG.logger = initConfig.logger || {
+				debug: function(){}, info: function(){}, warn: function(){}, error: function(){},
+			};
+		}
+
 		if(initConfig.mode === 'Port'){
 			MDSM_CONFIG.mode = 'Port';			// Declare the mode to 'Port'
 			MDSM_CONFIG.port = initConfig.port;	// Define the port number
@@ -45,56 +284,293 @@ let mdsm = function(){
 			MDSM_CONFIG.mode = 'Middleware';			// Declare the mode to 'Port'
 		}
 
-		/* Save the list of valid endpoint-allowedClassType-handler objects, but first trims
-		 * the url so that it's uniform */
-		endpoints = initConfig.endpoints.map((endpoint)=>{
-			endpoint.url = trimURL(endpoint.url);
-			return endpoint;
+		/* Use a custom subscription URL if one was given */
+		if(initConfig.subscribeURL){
+			MDSM_CONFIG.subscribeURL = trimURL(initConfig.subscribeURL);
+		}
+
+		/* Use a custom changes URL and change log size if they were given */
+		if(initConfig.changesURL){
+			MDSM_CONFIG.changesURL = trimURL(initConfig.changesURL);
+		}
+		if(initConfig.changeLogSize !== undefined){
+			MDSM_CONFIG.changeLogSize = initConfig.changeLogSize;
+		}
+
+		/* Use a custom lease URL and lease lifetime if they were given */
+		if(initConfig.leaseURL){
+			MDSM_CONFIG.leaseURL = trimURL(initConfig.leaseURL);
+		}
+		if(initConfig.leaseTimeToLive !== undefined){
+			MDSM_CONFIG.leaseTimeToLive = initConfig.leaseTimeToLive;
+		}
+
+		/* Use custom mailbox settings if they were given */
+		if(initConfig.mailboxURL){
+			MDSM_CONFIG.mailboxURL = trimURL(initConfig.mailboxURL);
+		}
+		['pollTimeout', 'ackTimeout', 'mailboxSize'].forEach((option)=>{
+			if(initConfig[option] !== undefined){
+				MDSM_CONFIG[option] = initConfig[option];
+			}
 		});
+
+		/* Use a custom join URL if one was given */
+		if(initConfig.joinURL){
+			MDSM_CONFIG.joinURL = trimURL(initConfig.joinURL);
+		}
+		joinCodes.joinURL = MDSM_CONFIG.joinURL;
+
+		/* Use persistent secrets if they were given, so that cookies issued by a previous
+		 * instance of MDSM can still be decrypted. 'keys' lists the current secret first,
+		 * followed by older ones still accepted; 'secret' is shorthand for a single key. */
+		if(initConfig.keys){
+			MDSM_CONFIG.keyRing = buildKeyRing(initConfig.keys);
+		}
+		else if(initConfig.secret){
+			MDSM_CONFIG.keyRing = buildKeyRing([initConfig.secret]);
+		}
+
+		/* Use custom cookie attributes and credential headers if they were given */
+		if(initConfig.cookie){
+			MDSM_CONFIG.cookie = Object.assign({}, MDSM_CONFIG.cookie, initConfig.cookie);
+		}
+		if(initConfig.bearer !== undefined){
+			MDSM_CONFIG.bearer = initConfig.bearer;
+		}
+		if(initConfig.credentialHeader !== undefined){
+			MDSM_CONFIG.credentialHeader = initConfig.credentialHeader ? initConfig.credentialHeader.toLowerCase() : null;
+		}
+
+		/* Use custom request queue limits if they were given */
+		if(initConfig.maxQueueDepth !== undefined){
+			MDSM_CONFIG.maxQueueDepth = initConfig.maxQueueDepth;
+		}
+		if(initConfig.handlerTimeout !== undefined){
+			MDSM_CONFIG.handlerTimeout = initConfig.handlerTimeout;
+		}
+
+		/* Use custom client idle limits if they were given */
+		if(initConfig.clientTimeToLive !== undefined){
+			MDSM_CONFIG.clientTimeToLive = initConfig.clientTimeToLive;
+		}
+		if(initConfig.activeWindow !== undefined){
+			MDSM_CONFIG.activeWindow = initConfig.activeWindow;
+		}
+
+		/* Use sliding session expiration by default, if asked to */
+		if(initConfig.slidingExpiration !== undefined){
+			MDSM_CONFIG.slidingExpiration = initConfig.slidingExpiration;
+		}
+
+		/* Use custom rate limits and a session request quota if they were given */
+		if(initConfig.rateLimits){
+			MDSM_CONFIG.rateLimits = initConfig.rateLimits;
+		}
+		if(initConfig.requestQuota !== undefined){
+			MDSM_CONFIG.requestQuota = initConfig.requestQuota;
+		}
+
+		/* Use a custom request body size limit if one was given */
+		if(initConfig.bodyLimit !== undefined){
+			MDSM_CONFIG.bodyLimit = initConfig.bodyLimit;
+		}
+		router.bodyLimit = MDSM_CONFIG.bodyLimit;
+
+		/* Enable the admin API if it was configured. It stays off unless a token or an
+		 * authorize function is given, so that it is never served unauthenticated. */
+		if(initConfig.admin && (initConfig.admin.token || initConfig.admin.authorize)){
+			admin = new Admin({
+				url: trimURL(initConfig.admin.url || 'mdsm/admin'),
+				token: initConfig.admin.token,
+				authorize: initConfig.admin.authorize,
+				sessions: sessions,
+				endSession: endSession,
+			});
+		}
+
+		/* Enable the metrics endpoint if asked to (true, or {url, token}) */
+		if(initConfig.metrics){
+			MDSM_CONFIG.metricsURL = trimURL(initConfig.metrics.url || 'metrics');
+			MDSM_CONFIG.metricsToken = initConfig.metrics.token || null;
+		}
+
+		/* Set up class inheritance (e.g. {admin: ['controller']}) and the response to send
+		 * when a client is denied access, if they were given */
+		if(initConfig.classInheritance){
+			accessControl.classInheritance = initConfig.classInheritance;
+		}
+		if(initConfig.accessDenied){
+			accessControl.deniedResponse = Object.assign({}, accessControl.deniedResponse, initConfig.accessDenied);
+		}
+
+		/* Save the list of valid endpoint-allowedClassType-handler objects. The router trims
+		 * the urls so that they're uniform. Endpoints mounted under a prefix before init()
+		 * (by feature modules, for instance) are kept. */
+		router.replaceEndpoints(initConfig.endpoints, '');
+
+		/* Use a custom storage adapter if one was given, and bring back the sessions it holds.
+		 * Done after the endpoints are saved, since restored sessions need a reference to them. */
+		if(initConfig.store){
+			store = initConfig.store;
+		}
+		restoreSessions();
 	}
 
-	/* This requestListener is used as a callback function in Port mode. It simply calls
-	 * processRequest() on incoming requests. */
-	let requestListener = function(req,res,next){
-		processRequest(req,res,next);
+	/* Recreate Session objects from the records held by the store, and schedule their
+	 * expiry. Records whose expiryDate has already passed are discarded. */
+	function restoreSessions(){
+		store.load().forEach((record)=>{
+			if(record.expiryDate <= clock.now()){
+				store.removeSession(record.sessionID);
+				return;
+			}
+
+			let restored = buildSession({
+				sessionID: record.sessionID,
+				expiryDate: record.expiryDate,
+				timeToLive: record.timeToLive,
+				slidingExpiration: record.slidingExpiration,
+				sessionData: record.sessionData,
+				stateVersion: record.stateVersion,
+				requestCount: record.requestCount,
+				requestQuota: (record.requestQuota !== undefined) ? record.requestQuota : MDSM_CONFIG.requestQuota,
+				capacity: record.capacity,
+				maxClients: record.maxClients,
+				overflowPolicy: record.overflowPolicy,
+				clients: record.clients,
+			});
+
+			sessions.set(restored.sessionID, restored);
+			scheduleExpiry(restored);
+		});
+	}
+
+	/* Create a Session object from the given fields, handing it this instance's shared
+	 * objects and settings. See Session.js for the fields. */
+	function buildSession(fields){
+		return new Session(Object.assign({
+			router: router,		// Give the session a reference to the Endpoints list
+			accessControl: accessControl,
+			events: emitter,
+			joinCodes: joinCodes,
+			validator: validator,
+			scheduler: scheduler,
+			clock: clock,
+			maxQueueDepth: MDSM_CONFIG.maxQueueDepth,
+			handlerTimeout: MDSM_CONFIG.handlerTimeout,
+			activeWindow: MDSM_CONFIG.activeWindow,
+			changeLogSize: MDSM_CONFIG.changeLogSize,
+			mailboxOptions: mailboxOptions(),
+			rateLimits: MDSM_CONFIG.rateLimits,
+			onChange: persistSession,
+		}, fields));
+	}
+
+	/* Options given to the Mailbox of every client */
+	function mailboxOptions(){
+		return {
+			maxSize: MDSM_CONFIG.mailboxSize,
+			ackTimeout: MDSM_CONFIG.ackTimeout,
+			pollTimeout: MDSM_CONFIG.pollTimeout,
+		};
+	}
+
+	/* Write the current state of a session to the store */
+	function persistSession(session){
+		store.saveSession(session.toRecord());
+	}
+
+	/* This requestListener is used as a callback function in Port mode. It calls
+	 * processRequest() on incoming requests, and answers those that fail with an MDSM error
+	 * using sendError(). */
+	let requestListener = function(req,res){
+		processRequest(req,res,(error)=>{
+			sendError(res, error);
+		});
+	}
+
+	/* Answer a request with an MDSM error: its HTTP status (see MdsmError.js), the headers
+	 * that go with some errors, and the error as JSON. If the response was already started
+	 * (by a handler that failed halfway), it is only ended. */
+	let sendError = function(res, error){
+		error = MdsmError.from(error);
+		if(res.headersSent){
+			if(!(res.writableEnded)){
+				res.end();
+			}
+			return;
+		}
+
+		res.statusCode = error.statusCode;
+		if(error.errorCode === 12){
+			res.setHeader('ETag', `"${error.version}"`);
+		}
+		else if(error.errorCode === 14 && error.retryAfter !== undefined){
+			res.setHeader('Retry-After', String(error.retryAfter));
+		}
+		res.setHeader('Content-Type', 'application/json');
+		res.end(JSON.stringify(error));
 	}
 
 	/* Configures HTTP/s server when using Port mode.
-	 * Listens for requests on a specified port. See documentation for "config" schema */
+	 * Listens for requests on a specified port. See documentation for "config" schema.
+	 * Announces the outcome with the listening or serverError event, since binding the port
+	 * only succeeds or fails once this has returned. */
 	let listen = function(config){
-		/* If HTTPS settings were specified, configure an HTTPS server. */
-		if(config.https){
-			/* Use the key, certificate, and (optional) passphrase and ca fields passed in */
-			try{
-				let server = https.createServer({
+		let protocol = config.https ? 'HTTPS' : 'HTTP';
+
+		/* If HTTPS settings were specified, configure an HTTPS server. Otherwise, default to
+		 * an HTTP server. */
+		try{
+			if(config.https){
+				/* Use the key, certificate, and (optional) passphrase and ca fields passed in */
+				server = https.createServer({
 					'key': config.https.key,
 					'cert': config.https.cert,
 					'passphrase': config.https.passphrase,	// Optional. May be null.
 					'ca': config.https.ca						// Optional. May be null.
 				},requestListener);
-				server.listen({
-					'port': MDSM_CONFIG.port,
-					'host': '0.0.0.0',
-				});
-				console.log('MDSM Listening for HTTPS on port ' + MDSM_CONFIG.port);
-			} catch(error){
-				console.log('MDSM error: Failed to initialize HTTPS server. Double check the configurations.');
-				console.log(error.stack);
+			} else {
+				server = http.createServer(requestListener);
 			}
+		} catch(error){
+			/* Bad keys and certificates are caught here */
+			reportServerError(`MDSM Error: Failed to initialize the ${protocol} server: ${error.message}. Check https.key, https.cert, https.passphrase and https.ca.`, error);
+			return;
 		}
 
-		/* If no HTTPS settings were specified, default to an HTTP server. */
-		else {
-			try{
-				let server = http.createServer(requestListener);
-				server.listen({
-					'port': MDSM_CONFIG.port,
-					'host': '0.0.0.0',
-				});
-				console.log('MDSM Listening for HTTP on port ' + MDSM_CONFIG.port);
-			} catch(error){
-				console.log('MDSM error: Failed to initialize HTTP server');
-			}
+		server.on('error', (error)=>{
+			reportServerError(describeServerError(error), error);
+		});
+		server.on('listening', ()=>{
+			let port = server.address().port;
+			MDSM_CONFIG.logger.info(`MDSM Listening for ${protocol} on port ${port}`);
+			emitter.emit('listening', { protocol: protocol, port: port });
+		});
+		server.listen({
+			'port': MDSM_CONFIG.port,
+			'host': '0.0.0.0',
+		});
+	}
+
+	/* Log a server failure and announce it with the serverError event */
+	function reportServerError(errorText, error){
+		MDSM_CONFIG.logger.error(errorText);
+		emitter.emit('serverError', { errorText: errorText, error: error });
+	}
+
+	/* A readable explanation of the usual reasons a server fails to listen */
+	function describeServerError(error){
+		switch(error.code){
+			case 'EADDRINUSE':
+				return `MDSM Error: Port ${MDSM_CONFIG.port} is already in use by another process.`;
+			case 'EACCES':
+				return `MDSM Error: Not allowed to listen on port ${MDSM_CONFIG.port}. Ports below 1024 usually need elevated privileges.`;
+			case 'EADDRNOTAVAIL':
+				return 'MDSM Error: The address to listen on is not available on this machine.';
+			default:
+				return `MDSM Error: The server failed: ${error.message}`;
 		}
 	}
 
@@ -103,12 +579,12 @@ let mdsm = function(){
 	 * it throws an error.*/
 	let processRequestAsMiddleware = function(req,res,next){
 		if(MDSM_CONFIG.mode != 'Middleware'){
-			next({
+			next(new MdsmError({
 				errorCode: 2,	// Error code 2: Invalid MDSM cookie
 				errorText: 'MDSM Error: processRequest() unavailable in Port mode.\
 				 				Use Middleware mode, or route requests directly to the \
 								port specified on initialization.',
-			});
+			}));
 		} else {
 			processRequest(req,res,next);
 		}
@@ -116,34 +592,136 @@ let mdsm = function(){
 
 	/* Process an incoming request. This function may be called by the request listener,
 	 * if listening on a port, or manually through the external API. */
-	let processRequest = function(req,res,next){
-		let reqUrl = trimURL(req.url);	//Get a trimmed version of the URL
+	let processRequest = function(req,res,onError){
+		/* Every error passes through here on its way to the caller, so that it can be announced
+		 * and handed to the configured error handler, if any */
+		let next = function(error){
+			error = MdsmError.from(error);
+			let route = router.match(req.method, req.url);
+			emitter.emit('requestRejected', {
+				errorCode: error.errorCode,
+				code: error.code,
+				errorText: error.errorText,
+				method: req.method,
+				url: req.url,
+				endpoint: route ? route.endpoint.url : null,
+			});
+
+			/* Failing handlers are bugs in the application: log them */
+			if(error.errorCode === 6){
+				MDSM_CONFIG.logger.error(error.errorText, error.error);
+			}
+			else if(error.errorCode === 5){
+				MDSM_CONFIG.logger.warn(error.errorText);
+			}
+
+			if(!(MDSM_CONFIG.errorHandler)){
+				onError(error);
+				return;
+			}
+			try{
+				MDSM_CONFIG.errorHandler(error, req, res, (handled)=>{
+					onError(handled || error);
+				});
+			} catch(handlerError){
+				MDSM_CONFIG.logger.error('MDSM Error: The error handler threw.', handlerError);
+				onError(error);
+			}
+		};
+
+		let reqUrl = router.parseURL(req.url).path;	//Get a trimmed version of the URL, without the query string
+		let isSubscription = (reqUrl === MDSM_CONFIG.subscribeURL);
+		let isChanges = (reqUrl === MDSM_CONFIG.changesURL);
+		let isLease = (reqUrl.indexOf(MDSM_CONFIG.leaseURL + '/') === 0);
+		let isMailbox = (reqUrl === MDSM_CONFIG.mailboxURL);
+
+		/* Refuse new work once close() has been called */
+		if(isClosing){
+			next(new MdsmError({
+				errorCode: 11,	// Error code 11: MDSM is shutting down
+				errorText: 'MDSM Error: Shutting down.',
+			}));
+		}
+
+		/* Admin requests are authenticated separately, and answered by the admin API */
+		else if(admin && admin.handles(reqUrl)){
+			admin.handle(req,res);
+		}
 
-		/* If the url is not a valid endpoint, use the "next" parameter to
-		 * to throw an error. */
-		if(!(isValidEndpoint(reqUrl))){
-			next({
+		/* Scrapes of the metrics endpoint */
+		else if(MDSM_CONFIG.metricsURL && reqUrl === MDSM_CONFIG.metricsURL){
+			sendMetrics(req,res);
+		}
+
+		/* Requests to redeem a join code don't carry an MDSM credential yet */
+		else if(reqUrl === MDSM_CONFIG.joinURL){
+			processJoin(req,res,next);
+		}
+
+		/* If the url is not a valid endpoint (nor one of the built-in URLs), use the
+		 * "next" parameter to to throw an error. */
+		else if(!(isSubscription) && !(isChanges) && !(isLease) && !(isMailbox) && !(isValidEndpoint(req))){
+			next(new MdsmError({
 				errorCode: 3,	// Error code 3: Invalid endpoint URL
 				errorText: 'Invalid endpoint'
-			});
+			}));
 		}
 
 		/* If the request was for a valid URL, continue processing the request */
 		else {
-			/* Get an object containing cookie-value pairs. If there are no cookies,
-			 * the list may be empty. */
-			let cookieList = getCookieListFromReq(req);
-
-			/* If the request has an MDSM cookie */
-			if(cookieList['mdsm']){
-				/* Look for a session associated with the cookie by passing the MDSM cookie
-				 * to the findSession() function, which will attempt to decrypt it and return t
+			/* Get the MDSM credential from the request's cookie or headers, if it has one */
+			let credential = getCredentialFromReq(req);
+
+			/* If the request has an MDSM credential */
+			if(credential){
+				/* Look for a session associated with the credential by passing it to the
+				 * findSession() function, which will attempt to decrypt it and return
 				 * the matching session. If no session is found or the cookie cannot be decrypted,
 				 * the function will return null. */
-				let match = findSession(cookieList['mdsm']);
+				let match = findSession(credential.value);
 
-				/* If a session exists */
+				/* Clients that were moved to another session are handed their new credential */
+				if(match && match.reissued && !(res.headersSent)){
+					if(credential.fromCookie){
+						setCookie(res, match.reissued);
+					} else {
+						res.setHeader(MDSM_CONFIG.credentialHeader || 'x-mdsm-credential', match.reissued);
+					}
+				}
+
+				/* Any request from the session's devices keeps a session with sliding expiration alive */
 				if(match){
+					match.session.touch();
+				}
+
+				/* If a session exists and the device wants to listen for broadcasts, hand the
+				 * response over to the session to keep open as an event stream */
+				if(match && isSubscription){
+					match.session.subscribe(req,res,match.mdsmCookie,next);
+				}
+
+				/* If a session exists and the device wants to catch up on state changes */
+				else if(match && isChanges){
+					match.session.sendChanges(req,res,match.mdsmCookie,next);
+				}
+
+				/* If a session exists and the device wants to acquire, release or inspect a lease */
+				else if(match && isLease){
+					let lease = parseLeaseRequest(req, reqUrl);
+					if(lease instanceof MdsmError){
+						next(lease);
+					} else {
+						match.session.sendLease(req,res,match.mdsmCookie,next,lease.name,lease.timeToLive);
+					}
+				}
+
+				/* If a session exists and the device wants to poll its mailbox or post a message */
+				else if(match && isMailbox){
+					match.session.sendMailbox(req,res,match.mdsmCookie,next);
+				}
+
+				/* If a session exists */
+				else if(match){
 					/* Tell the session to process the request. Also append an unencrypted version
 					 * of the MDSM cookie as the third parameter */
 					match.session.processRequest(req,res,match.mdsmCookie,next);
@@ -153,42 +731,144 @@ let mdsm = function(){
 				 * not be decrypted, or because the session does not exist), expire the bad cookie
 				 * and pass an error to the caller through the next() callback */
 				else {
-					next({
+					if(credential.fromCookie && !(res.headersSent)){
+						clearCookie(res);
+					}
+					next(new MdsmError({
 						errorCode: 1,	// Error code 1: Invalid MDSM cookie
 						errorText: 'MDSM Error: Invalid MDSM cookie. Could not find matching session.',
-					});
+					}));
 
 				}
 			}
 
-			/* If the request does not have an MDSM cookie... */
+			/* If the request does not have an MDSM credential, call the callback with an error
+			 * code of 0, signaling that this was a request without an MDSM cookie. In Port mode,
+			 * it is answered with a 400. */
 			else {
-				/* If on port mode, send an HTTP 400 response */
-				if(MDSM_CONFIG.mode === 'Port'){
-					res.statusCode = 400;
-					res.end("Not an MDSM request");
-				}
-				/* If on Middleware mode, call the callback with an error code of 0, signaling that this was
-				 * a request without an MDSM cookie */
-				else {
-					next({
-						errorCode: 0,	// Error code 0: No MDSM cookie
-						errorText: 'Not an MDSM request (no MDSM cookie)'
-					});
-				}
+				next(new MdsmError({
+					errorCode: 0,	// Error code 0: No MDSM cookie
+					errorText: 'Not an MDSM request (no MDSM cookie)'
+				}));
+			}
+		}
+	}
+
+	/* Redeem the join code given in the request's query string (?code=...). On success, adds
+	 * a client of the code's clientClass to the code's session, sets its MDSM cookie, and
+	 * responds with the sessionID and clientClass as JSON. Devices without a cookie jar ask
+	 * for the credential itself with ?credential=1; it is then added to the response. */
+	function processJoin(req,res,next){
+		let query = router.parseURL(req.url).query;
+		let grant = query.code ? joinCodes.find(query.code) : null;
+		let session = grant ? resolveSession(grant.sessionID) : null;
+
+		/* The code is unknown, expired or used up, or its session has gone */
+		if(!(session)){
+			next(new MdsmError({
+				errorCode: 10,	// Error code 10: Invalid join code
+				errorText: 'MDSM Error: Invalid or expired join code.',
+			}));
+			return;
+		}
+
+		/* Codes with several uses hand each client its own copy of the clientData */
+		let clientData = grant.clientData;
+		if(clientData && typeof clientData === 'object'){
+			clientData = Object.assign({}, clientData);
+		}
+
+		let clientCookie = addClient({
+			session: session,
+			clientClass: grant.clientClass,
+			clientData: clientData,
+			res: res,
+		});
+
+		/* The session is at capacity for the code's class. The code keeps its use. */
+		if(typeof clientCookie !== 'string'){
+			next(clientCookie);
+			return;
+		}
+		joinCodes.redeem(grant.code);
+
+		let body = {
+			sessionID: session.sessionID,
+			clientClass: grant.clientClass,
+		};
+		if(query.credential === '1' || query.credential === 'true'){
+			body.credential = clientCookie;
+		}
+		res.setHeader('Content-Type', 'application/json');
+		res.end(JSON.stringify(body));
+	}
+
+	/* Read the lease name from a request to the leaseURL, and the time to live from its
+	 * ?ttl=ms. Devices may only ask for a positive ttl, no longer than leaseTimeToLive (when
+	 * that isn't 0): a lease that never expires is for server code to grant. Returns {name,
+	 * timeToLive}, or an MDSM error (errorCode 20) if the name is not valid percent-encoding
+	 * or the ttl is not a positive integer. */
+	function parseLeaseRequest(req, reqUrl){
+		let name;
+		try{
+			name = decodeURIComponent(reqUrl.substring(MDSM_CONFIG.leaseURL.length + 1));
+		} catch(error){
+			return new MdsmError({
+				errorCode: 20,	// Error code 20: Invalid lease request
+				errorText: 'MDSM Error: The lease name is not valid percent-encoding.',
+			});
+		}
+
+		let query = router.parseURL(req.url).query;
+		let timeToLive = MDSM_CONFIG.leaseTimeToLive;
+		if(query.ttl !== undefined){
+			if(!(/^\d+$/.test(query.ttl)) || parseInt(query.ttl, 10) === 0){
+				return new MdsmError({
+					errorCode: 20,	// Error code 20: Invalid lease request
+					errorText: 'MDSM Error: The lease ttl must be a positive integer (ms).',
+				});
+			}
+			timeToLive = parseInt(query.ttl, 10);
+			if(MDSM_CONFIG.leaseTimeToLive){
+				timeToLive = Math.min(timeToLive, MDSM_CONFIG.leaseTimeToLive);
 			}
 		}
+		return {
+			name: name,
+			timeToLive: timeToLive,
+		};
 	}
 
-	/* Checks the list of endpoints to see whether a given URL pertains to a valid endpoint.*/
-	function isValidEndpoint(url){
-		/* Get a subset of the endpoints array for which the url matches the given url (trimmed) */
-		let matchingEndpoints = endpoints.filter((ep)=>{
-			return ep.url === trimURL(url);
+	/* Respond with the instance's metrics in the Prometheus text format. If a metrics token
+	 * was configured, the request must carry it as a bearer token. */
+	function sendMetrics(req,res){
+		if(MDSM_CONFIG.metricsToken){
+			let expected = crypto.createHash('sha256').update('Bearer ' + MDSM_CONFIG.metricsToken).digest();
+			let given = crypto.createHash('sha256').update(req.headers.authorization || '').digest();
+			if(!(crypto.timingSafeEqual(expected, given))){
+				res.statusCode = 401;
+				res.setHeader('WWW-Authenticate', 'Bearer');
+				res.end('Unauthorized');
+				return;
+			}
+		}
+
+		let clients = 0;
+		sessions.forEach((s)=>{
+			clients += s.clients.size;
 		});
 
-		/* If the subset is not an empty set, return true. Otherwise return false. */
-		return (matchingEndpoints.length != 0);
+		res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+		res.end(metrics.render({
+			sessions: sessions.size,
+			clients: clients,
+		}));
+	}
+
+	/* Checks the list of endpoints to see whether a request's method and URL pertain to a
+	 * valid endpoint.*/
+	function isValidEndpoint(req){
+		return (router.match(req.method, req.url) !== null);
 	}
 
 	/* Takes an HTTP request object and returns a list of its cookies */
@@ -197,169 +877,755 @@ let mdsm = function(){
 		cookieString = request.headers.cookie;
 		cookieString && cookieString.split(';').forEach(function( cookie ) {
 			let parts = cookie.split('=');
-			list[parts.shift().trim()] = decodeURI(parts.join('='));
+			let name = parts.shift().trim();
+			let value = parts.join('=');
+
+			/* Other applications' cookies may not be valid URI encodings; keep those as they are */
+			try{
+				value = decodeURI(value);
+			} catch(error){}
+			list[name] = value;
 		});
 
 		return list;
 	}
 
+	/* Takes an HTTP request object and returns its MDSM credential as {value, fromCookie},
+	 * or null if it has none. The cookie is looked at first, then the Authorization: Bearer
+	 * header and the custom credential header. */
+	function getCredentialFromReq(request){
+		let cookieList = getCookieListFromReq(request);
+		if(cookieList[MDSM_CONFIG.cookie.name]){
+			return { value: cookieList[MDSM_CONFIG.cookie.name], fromCookie: true };
+		}
+
+		let authorization = request.headers.authorization;
+		if(MDSM_CONFIG.bearer && authorization && /^bearer\s+/i.test(authorization)){
+			return { value: authorization.replace(/^bearer\s+/i, '').trim(), fromCookie: false };
+		}
+
+		if(MDSM_CONFIG.credentialHeader && request.headers[MDSM_CONFIG.credentialHeader]){
+			return { value: request.headers[MDSM_CONFIG.credentialHeader].trim(), fromCookie: false };
+		}
+
+		return null;
+	}
+
+	/* Adds a Set-Cookie header carrying the given encrypted credential to a response, using
+	 * the configured cookie name and attributes. Cookies set earlier on the response are kept. */
+	let setCookie = function(res, credential){
+		appendSetCookie(res, serializeCookie(credential, MDSM_CONFIG.cookie.maxAge, isSecureRequest(res.req)));
+	}
+
+	/* Adds a Set-Cookie header to a response that makes the browser drop its MDSM cookie */
+	let clearCookie = function(res){
+		appendSetCookie(res, serializeCookie('', 0, isSecureRequest(res.req)));
+	}
+
+	/* Builds a Set-Cookie header value for the MDSM cookie */
+	function serializeCookie(value, maxAge, secure){
+		let options = MDSM_CONFIG.cookie;
+		let parts = [options.name + '=' + value];
+		if(options.path){
+			parts.push('Path=' + options.path);
+		}
+		if(options.domain){
+			parts.push('Domain=' + options.domain);
+		}
+		if(maxAge !== null && maxAge !== undefined){
+			parts.push('Max-Age=' + Math.floor(maxAge));
+		}
+		if(options.httpOnly){
+			parts.push('HttpOnly');
+		}
+		if(options.secure === true || (options.secure === 'auto' && secure)){
+			parts.push('Secure');
+		}
+		if(options.sameSite){
+			parts.push('SameSite=' + options.sameSite);
+		}
+		return parts.join('; ');
+	}
+
+	/* Whether a request came over HTTPS, either directly or through a proxy that says so */
+	function isSecureRequest(req){
+		if(!(req)){
+			return false;
+		}
+		return Boolean(req.socket && req.socket.encrypted) || req.headers['x-forwarded-proto'] === 'https';
+	}
+
+	/* Appends a cookie to a response's Set-Cookie header */
+	function appendSetCookie(res, cookie){
+		let existing = res.getHeader('Set-Cookie');
+		if(!(existing)){
+			existing = [];
+		}
+		else if(!(Array.isArray(existing))){
+			existing = [existing];
+		}
+		res.setHeader('Set-Cookie', existing.concat(cookie));
+	}
+
 	/* Takes an encrypted MDSM cookie, decrypts it, and attempts to find a session
 	 * in the sessions array with a matching sessionID. Returns either an object containing
 	 * the decrypted cookie and a reference to the Session object, or null if no matching
 	 * session is found. */
 	function findSession(sessionCookie){
-		try{
-			/* Decrypt the session cookie string */
-			let unencrypted = decrypt(sessionCookie);
-
-			/* Parse it into an object */
-			let sessionDataObject = JSON.parse(unencrypted);
-
-			/* Get a subset of the sessions list with elements whose sessionIDs match
-			 * the ones in the MDSM cookie. */
-			let filteredSessionList = sessions.filter((s)=>{
-				return s.sessionID === sessionDataObject.sessionID;
+		/* Decrypt the session cookie string. Cookies that fail verification (tampered with,
+		 * or made with a key that is not in the key ring) have no matching session. */
+		let unencrypted = decrypt(sessionCookie);
+		if(unencrypted === null){
+			emitter.emit('cookieInvalid', {
+				reason: 'decryptFailed',
+				sessionID: null,
+				clientID: null,
 			});
+			return null;
+		}
 
-			/* IF the subset is of positive length, a match was found. Return an object
-			 * with the unencrypted cookie and a reference to the matching Session */
-			if(filteredSessionList.length > 0){
-				return {
-					mdsmCookie: unencrypted,
-					session: filteredSessionList[0]
-				};
-			}
+		/* Parse it into an object */
+		let sessionDataObject = JSON.parse(unencrypted);
 
-			/* If no match was found, return null */
-			else {
-				return null;
+		/* If the client was moved to another session (perhaps more than once), follow it
+		 * there, and reissue its cookie for the session it is in now */
+		let reissued = null;
+		for(let hops = 0; hops < 16; hops++){
+			let key = forwardKey(sessionDataObject.sessionID, sessionDataObject.clientID);
+			let current = sessions.get(sessionDataObject.sessionID);
+			if(!(forwards.has(key)) || (current && current.clients.has(sessionDataObject.clientID))){
+				break;
 			}
+			sessionDataObject = {
+				sessionID: forwards.get(key),
+				clientID: sessionDataObject.clientID,
+			};
+			unencrypted = JSON.stringify(sessionDataObject);
+			reissued = encrypt(unencrypted);
 		}
 
-		/* If the cookie could not be decrypted:  */
-		catch(error){
-			console.log(`MDSM error: Unable to decrypt MDSM cookie:\n\t[${sessionCookie}].\n` +
-							`It may have been generated by a previous instance of MDSM.`
-			);
-			return null;
+		/* Look up the session with the sessionID in the MDSM cookie */
+		let session = sessions.get(sessionDataObject.sessionID);
+
+		/* If there is one, return an object with the unencrypted cookie and a reference to
+		 * the matching Session, along with the reissued cookie if the client was moved */
+		if(session){
+			return {
+				mdsmCookie: unencrypted,
+				session: session,
+				reissued: reissued,
+			};
 		}
 
 		/* Return null if no matching session could be discerned */
+		emitter.emit('cookieInvalid', {
+			reason: 'sessionNotFound',
+			sessionID: sessionDataObject.sessionID,
+			clientID: sessionDataObject.clientID,
+		});
 		return null;
 	}
 
-	/* Create a session using a configuration object. See Documentation for schema. */
+	/* Register an endpoint at runtime, after the existing ones. options.prefix mounts it
+	 * under a URL prefix (see Documentation). Sessions keep working as they are, and pick up
+	 * the endpoint on their next request. Returns true, or an MDSM error (errorCode 17) if the
+	 * endpoint is invalid. */
+	let addEndpoint = function(endpoint, options){
+		options = options || {};
+		let invalid = validator.check('endpoint', endpoint) || validator.check('endpointOptions', options);
+		if(invalid){
+			return invalid;
+		}
+
+		router.addEndpoints([endpoint], options.prefix || '');
+		MDSM_CONFIG.logger.debug(`MDSM: Added endpoint ${router.joinURL(options.prefix, endpoint.url)}`);
+		return true;
+	}
+
+	/* Unregister the endpoints with the given URL. options.method only removes those answering
+	 * to that method; options.prefix is the prefix they were mounted under. Requests already
+	 * queued for them still run. Returns the number of endpoints removed, or an MDSM error
+	 * (errorCode 17) if the arguments are invalid. */
+	let removeEndpoint = function(url, options){
+		options = options || {};
+		let invalid = validator.check('endpointURL', url) || validator.check('endpointOptions', options);
+		if(invalid){
+			return invalid;
+		}
+
+		let removed = router.removeEndpoint(url, options.method, options.prefix || '');
+		MDSM_CONFIG.logger.debug(`MDSM: Removed ${removed} endpoint(s) at ${router.joinURL(options.prefix, url)}`);
+		return removed;
+	}
+
+	/* Swap the endpoints mounted under options.prefix (or those registered without a prefix)
+	 * for a new list, in one go, e.g. to reload handlers. Endpoints under other prefixes are
+	 * left alone. Nothing changes if any of the new endpoints is invalid. Returns true, or an
+	 * MDSM error (errorCode 17). */
+	let replaceEndpoints = function(endpoints, options){
+		options = options || {};
+		let invalid = validator.check('endpoints', endpoints) || validator.check('endpointOptions', options);
+		if(invalid){
+			return invalid;
+		}
+
+		router.replaceEndpoints(endpoints, options.prefix || '');
+		MDSM_CONFIG.logger.debug(`MDSM: Replaced the endpoints under '${router.trimURL(options.prefix || '')}'`);
+		return true;
+	}
+
+	/* Create a session using a configuration object. See Documentation for schema. Returns
+	 * the new Session, or an MDSM error (errorCode 17) if the configuration is invalid. */
 	let createSession = function(newSessionInfo){
+		newSessionInfo = withSessionDefaults(newSessionInfo);
+
+		/* Refuse session info that doesn't match the newSessionInfo schema (a missing or
+		 * invalid timeToLive, for instance), or that reuses the ID of a live session */
+		let invalid = validator.check('newSessionInfo', newSessionInfo);
+		if(invalid){
+			return invalid;
+		}
+		if(newSessionInfo.sessionID && resolveSession(newSessionInfo.sessionID)){
+			return new MdsmError({
+				errorCode: 17,	// Error code 17: Invalid configuration or arguments
+				errorText: `MDSM Error: Invalid newSessionInfo: newSessionInfo.sessionID '${newSessionInfo.sessionID}' is already in use.`,
+				errors: [{ path: 'newSessionInfo.sessionID', message: 'is already in use' }],
+			});
+		}
+
 		/* If a session ID wasn't specified, create a random 32-bit hex-encoded ID */
 		if(!(newSessionInfo.sessionID)){
 			newSessionInfo.sessionID = crypto.randomFillSync(Buffer.alloc(32), 0, 32).toString('hex');
 		};
 
-		/* If no session TTL was specified, default to 0. */
-		if(!(newSessionInfo)){
-			newSessionInfo.timeToLive = 0;
-		}
-
 		/* If no sessionData was provided, make sure it's null rather than undefined. */
 		if(!(newSessionInfo.sessionData)){
 			newSessionInfo.sessionData = null;
 		}
 
 		/* Create a new session */
-		let newSesh = new Session({
+		let newSesh = buildSession({
 			sessionID: newSessionInfo.sessionID,
-			expiryDate: Date.now() + newSessionInfo.timeToLive,
+			expiryDate: clock.now() + newSessionInfo.timeToLive,
+			timeToLive: newSessionInfo.timeToLive,
+			slidingExpiration: (newSessionInfo.slidingExpiration !== undefined) ? newSessionInfo.slidingExpiration : MDSM_CONFIG.slidingExpiration,
 			sessionData: newSessionInfo.sessionData,
-			validEndpoints: endpoints,		// Give the session a reference to the Endpoints list
+			requestQuota: (newSessionInfo.requestQuota !== undefined) ? newSessionInfo.requestQuota : MDSM_CONFIG.requestQuota,
+			capacity: newSessionInfo.capacity,
+			maxClients: newSessionInfo.maxClients,
+			overflowPolicy: newSessionInfo.overflowPolicy,
 		});
 
-		/* Add the session to the sessions array */
-		sessions.push(newSesh);
-
-		/* The following function will be set on a timer to be called once the session is supposed to expire. */
-
-		/* Tells the session object to delete itself. If it does, the session truly expired,
-		 * so it is deleted from the sessions array. If it does not delete itself, that means
-		 * that its expiryDate was extended, so the session has not truly expired yet. In that case,
-		 * set a new timeout to attempt to expire the session again at the new expiryDate. */
-		function expireSession(session){
-			/* Attempt to delete the session object (deletion will only succeed if the session
-			 * has truly reached its expiryDate, without being renewed to extend its life) */
-			let wasDestroyed = session.attemptSelfDestruct();
-
-			/* If the session was expired and was successfully deleted, remove it from the sessions array */
-			if(wasDestroyed){
-				/* Find the index of the session object in the sessions array, and delete it */
-				sessions.splice(sessions.indexOf(session),1);	//Delete 1 object at the index of the session
-				session = null;	// Set the session object equal to null to ensure the garbage collector catches it
-			}
+		/* Return a reference to the new Session object */
+		return startSession(newSesh);
+	}
 
-			/* If the session was not deleted, its expiryDate is in the future. Set a new timeout */
-			else {
-				setTimeout(
-					()=>{expireSession(session)},
-					session.expiryDate - Date.now()
-				);
+	/* Returns a copy of newSessionInfo with the sessionDefaults given upon init() filled in.
+	 * Anything but an object is returned as is, for the validator to refuse. */
+	function withSessionDefaults(newSessionInfo){
+		if(!(newSessionInfo) || typeof newSessionInfo !== 'object'){
+			return newSessionInfo;
+		}
+		let merged = Object.assign({}, MDSM_CONFIG.sessionDefaults);
+		Object.keys(newSessionInfo).forEach((key)=>{
+			if(newSessionInfo[key] !== undefined){
+				merged[key] = newSessionInfo[key];
 			}
+		});
+		return merged;
+	}
+
+	/* Add a new Session object to the sessions index, persist it, schedule its expiry and
+	 * announce it. Returns the session. */
+	function startSession(newSesh){
+		/* Add the session to the sessions index, and persist it */
+		sessions.set(newSesh.sessionID, newSesh);
+		persistSession(newSesh);
+
+		/* Set a timer to delete the session at expiry time */
+		scheduleExpiry(newSesh);
+
+		emitter.emit('sessionCreated', {
+			sessionID: newSesh.sessionID,
+			expiryDate: newSesh.expiryDate,
+			session: newSesh,
+		});
+		return newSesh;
+	}
+
+	/* Returns a JSON-serializable snapshot of a session: its data, its clients and the time
+	 * they have left. The session may be passed as a Session object or a sessionID. Returns
+	 * null if the session could not be found. See Documentation for the snapshot schema. */
+	let exportSession = function(session){
+		let target = resolveSession(session);
+
+		/* If the session could not be found, return null */
+		if(!(target)){
+			return null;
+		}
+
+		return target.toSnapshot();
+	}
+
+	/* Create a session from a snapshot made by exportSession(), in this or another instance.
+	 * Clients keep their clientIDs, so their cookies keep working if this instance shares
+	 * the exporting instance's keys. If the session is imported under a new sessionID, the
+	 * old cookies are forwarded to it. Returns the new Session, or an MDSM error (errorCode
+	 * 17) if the snapshot is invalid or its sessionID is in use. See Documentation for options. */
+	let importSession = function(snapshot, options){
+		options = options || {};
+		let invalid = validator.check('sessionSnapshot', snapshot);
+		if(invalid){
+			return invalid;
+		}
+
+		let sessionID = options.sessionID || snapshot.sessionID;
+		if(sessions.has(sessionID)){
+			return new MdsmError({
+				errorCode: 17,	// Error code 17: Invalid configuration or arguments
+				errorText: `MDSM Error: Invalid sessionSnapshot: sessionID '${sessionID}' is already in use.`,
+				errors: [{ path: 'sessionSnapshot.sessionID', message: 'is already in use' }],
+			});
+		}
+
+		let now = clock.now();
+		let imported = buildSession({
+			sessionID: sessionID,
+			expiryDate: now + ((options.timeToLive !== undefined) ? options.timeToLive : snapshot.timeLeft),
+			timeToLive: snapshot.timeToLive,
+			slidingExpiration: snapshot.slidingExpiration,
+			sessionData: (snapshot.sessionData !== undefined) ? snapshot.sessionData : null,
+			stateVersion: snapshot.stateVersion,
+			requestCount: snapshot.requestCount,
+			requestQuota: (snapshot.requestQuota !== undefined) ? snapshot.requestQuota : MDSM_CONFIG.requestQuota,
+			capacity: snapshot.capacity,
+			maxClients: snapshot.maxClients,
+			overflowPolicy: snapshot.overflowPolicy,
+			clients: snapshot.clients.map((c)=>{
+				return {
+					clientID: c.clientID,
+					clientClass: c.clientClass,
+					clientData: c.clientData,
+					timeToLive: c.timeToLive,
+					lastSeen: now - (c.idleFor || 0),
+				};
+			}),
+		});
+		startSession(imported);
+
+		if(sessionID !== snapshot.sessionID){
+			snapshot.clients.forEach((c)=>{
+				addForward(snapshot.sessionID, c.clientID, sessionID, imported.expiryDate);
+			});
+		}
+		return imported;
+	}
+
+	/* Move a client from one session to another. Both sessions may be passed as Session
+	 * objects or sessionIDs. The client keeps its clientID, class, data and idle timer; its
+	 * leases, event streams and mailbox stay behind. Its old cookie is forwarded to the new
+	 * session, and a new one is returned (and set on options.res, if given). Returns null if
+	 * either session or the client could not be found, or an MDSM error: errorCode 16 if the
+	 * new session is at capacity, 17 if both sessions are the same. */
+	let moveClient = function(fromSession, clientID, toSession, options){
+		options = options || {};
+		let source = resolveSession(fromSession);
+		let target = resolveSession(toSession);
+
+		/* If either session or the client could not be found, return null */
+		if(!(source) || !(target) || !(source.clients.has(clientID))){
+			return null;
+		}
+
+		if(source === target){
+			return new MdsmError({
+				errorCode: 17,	// Error code 17: Invalid configuration or arguments
+				errorText: 'MDSM Error: A client cannot be moved to the session it is already in.',
+				errors: [{ path: 'toSession', message: 'must differ from fromSession' }],
+			});
+		}
+
+		let client = source.clients.get(clientID);
+		let clientCookie = target.addClient({
+			clientID: client.clientID,
+			clientClass: client.clientClass,
+			clientData: client.clientData,
+			lastSeen: client.lastSeen,
+			timeToLive: client.timeToLive,
+			ignoreCapacity: options.ignoreCapacity,
+		});
+
+		/* The new session's capacity rules refused the client: it stays where it was */
+		if(typeof clientCookie !== 'string'){
+			return clientCookie;
+		}
+
+		source.removeClient(clientID, 'moved');
+		addForward(source.sessionID, clientID, target.sessionID, source.expiryDate);
+		emitter.emit('clientAdded', {
+			sessionID: target.sessionID,
+			clientID: clientID,
+			clientClass: client.clientClass,
+		});
+
+		let credential = encrypt(clientCookie);
+		if(options.res){
+			setCookie(options.res, credential);
+		}
+		return credential;
+	}
+
+	/* Merge one session into another. The merge function is called with both sessions'
+	 * sessionData (target's first) and returns the merged sessionData, which is recorded as
+	 * a change of the target session. Without a merge function, the target keeps its own.
+	 * Every client of the source session is then moved to the target (whatever its capacity
+	 * rules), and the source session expires. Returns the clients' new cookies keyed by
+	 * clientID, or null if either session could not be found. */
+	let mergeSessions = function(targetSession, sourceSession, merge){
+		let target = resolveSession(targetSession);
+		let source = resolveSession(sourceSession);
+
+		/* If either session could not be found, return null */
+		if(!(target) || !(source)){
+			return null;
+		}
+
+		if(target === source){
+			return new MdsmError({
+				errorCode: 17,	// Error code 17: Invalid configuration or arguments
+				errorText: 'MDSM Error: A session cannot be merged into itself.',
+				errors: [{ path: 'sourceSession', message: 'must differ from targetSession' }],
+			});
+		}
+
+		if(merge){
+			target.updateData((sessionData)=>{
+				return merge(sessionData, source.sessionData);
+			});
 		}
 
-		/* Set an initial callback to delete the session at expiry time. Self-destruction is not
-		 * guaranteed since (by design), the session may have its expiryDate extended before
-		 * the callback is executed. */
-		setTimeout(
-			()=>{expireSession(newSesh);},		// The function that will expire the session
-			newSessionInfo.timeToLive	// To be called after the session's TTL has transpired
+		let cookies = {};
+		Array.from(source.clients.keys()).forEach((clientID)=>{
+			cookies[clientID] = moveClient(source, clientID, target, { ignoreCapacity: true });
+		});
+
+		emitter.emit('sessionsMerged', {
+			sessionID: target.sessionID,
+			mergedSessionID: source.sessionID,
+		});
+		endSession(source);
+		return cookies;
+	}
+
+	/* Remember that a client was moved from one session to another, until the given date.
+	 * A forward out of the session the client arrives in is no longer needed. */
+	function addForward(fromSessionID, clientID, toSessionID, until){
+		let arrival = forwardKey(toSessionID, clientID);
+		forwards.delete(arrival);
+		scheduler.cancel('forward:' + arrival);
+
+		let key = forwardKey(fromSessionID, clientID);
+		forwards.set(key, toSessionID);
+		scheduler.schedule('forward:' + key, until, ()=>{
+			forwards.delete(key);
+		});
+	}
+
+	function forwardKey(sessionID, clientID){
+		return sessionID + ':' + clientID;
+	}
+
+	/* Tells the session object to delete itself. If it does, the session truly expired,
+	 * so it is deleted from the sessions index and the store. If it does not delete itself,
+	 * that means that its expiryDate was extended, so the session has not truly expired yet.
+	 * In that case, set a new timeout to attempt to expire the session again at the new expiryDate. */
+	function expireSession(session){
+		/* Attempt to delete the session object (deletion will only succeed if the session
+		 * has truly reached its expiryDate, without being renewed to extend its life) */
+		let wasDestroyed = session.attemptSelfDestruct();
+
+		/* If the session was expired and was successfully deleted, remove it from the sessions index */
+		if(wasDestroyed){
+			sessions.delete(session.sessionID);
+			store.removeSession(session.sessionID);
+			joinCodes.revokeSession(session.sessionID);
+			MDSM_CONFIG.logger.debug(`MDSM: Session ${session.sessionID} expired`);
+			emitter.emit('sessionExpired', {
+				sessionID: session.sessionID,
+				sessionData: session.sessionData,
+			});
+			session = null;	// Set the session object equal to null to ensure the garbage collector catches it
+		}
+
+		/* If the session was not deleted, its expiryDate is in the future. Schedule a new check.
+		 * The stored record is brought up to date too, in case sliding expiration moved it. */
+		else {
+			persistSession(session);
+			scheduleExpiry(session);
+		}
+	}
+
+	/* Set a callback to delete the session at its expiry time. Self-destruction is not
+	 * guaranteed since (by design), the session may have its expiryDate extended before
+	 * the callback is executed. Every session shares the scheduler's single timer. */
+	function scheduleExpiry(session){
+		scheduler.schedule(
+			'session:' + session.sessionID,
+			session.expiryDate,				// To be called once the session's TTL has transpired
+			()=>{expireSession(session);}	// The function that will expire the session
 		);
+	}
 
-		/* Return a reference to the new Session object */
-		return newSesh;
+	/* Expire a session right away, whatever its expiry date. Its pending expiry check is
+	 * dropped, and it is removed like any expiring session. */
+	function endSession(session){
+		session.expiryDate = clock.now();
+		scheduler.cancel('session:' + session.sessionID);
+		expireSession(session);
 	}
 
-	/* Extend the life of a session by a specified number of milliseconds */
+	/* Public version of endSession(). The session may be passed as a Session object or a
+	 * sessionID. Returns true, or null if the session could not be found. */
+	let expireNow = function(session){
+		let target = resolveSession(session);
+
+		/* If the session could not be found, return null */
+		if(!(target)){
+			return null;
+		}
+
+		endSession(target);
+		return true;
+	}
+
+	/* Extend the life of a session by a specified number of milliseconds. Returns the new
+	 * expiry date, or null if the session could not be found. */
 	let renewSession = function(sessionID, extraTimeInMs){
 		/* Find the session with the given sessionID */
-		let session = sessions.filter((s)=>{
-			return s.sessionID === sessionID;
-		})[0];
+		let session = sessions.get(sessionID);
+
+		/* If the session could not be found, return null */
+		if(!(session)){
+			return null;
+		}
 
 		/* Extend the session's life by the specified number of milliseconds */
 		session.extendSessionLife(extraTimeInMs);
+
+		emitter.emit('sessionRenewed', {
+			sessionID: session.sessionID,
+			expiryDate: session.expiryDate,
+			extraTimeInMs: extraTimeInMs,
+		});
+		return session.expiryDate;
 	}
 
 	/* Add a client based on info passed in. See documentation for newClientInfo schema.
-	 * Returns either the new client's encrypted cookie, or null if the client could not
-	 * be created. */
+	 * Returns either the new client's encrypted cookie, null if the session could not be
+	 * found, or an MDSM error object: errorCode 17 if newClientInfo is invalid, 16 if the
+	 * session is at capacity. If a response object is given as newClientInfo.res, the cookie
+	 * is also set on it. */
 	let addClient = function(newClientInfo){
-		console.log("Trying to create a client on session " + newClientInfo.session);
-		console.log("Sessions: ");
-		console.log(sessions);
-		/* get the session from the newClientinfo */
-		var session;// = newClientInfo.session;
-
-		/* If Session was passed in as a sessionID instead of a Session object, get the
-		 * appropriate object from the list of sessions. */
-		if(!(typeof newClientInfo.session === 'object')){
-			session = sessions.filter((s)=>{
-				return s.sessionID === newClientInfo.session;
-			})[0];
-
-			/* If the session could not be found, return null */
-			if(!(session)){
-				return null;
-			}
+		/* Refuse client info that doesn't match the newClientInfo schema */
+		let invalid = validator.check('newClientInfo', newClientInfo);
+		if(invalid){
+			return invalid;
 		}
 
-		/* If the Session instance was passed directly, just use it. */
-		else session = newClientInfo.session;
+		/* get the session from the newClientinfo */
+		let session = resolveSession(newClientInfo.session);
+
+		/* If the session could not be found, return null */
+		if(!(session)){
+			return null;
+		}
 
 		/* Tell the session to create a new client, which returns a client cookie */
 		let clientCookie = session.addClient({
 			clientClass: newClientInfo.clientClass,
 			clientData: newClientInfo.clientData,
+			timeToLive: (newClientInfo.timeToLive !== undefined) ? newClientInfo.timeToLive : MDSM_CONFIG.clientTimeToLive,
 		});
 
-		/* Return the client cookie ciphertext */
-		return encrypt(clientCookie);
+		/* The session's capacity rules refused the client: pass the reason on to the caller */
+		if(typeof clientCookie !== 'string'){
+			return clientCookie;
+		}
+
+		let clientID = JSON.parse(clientCookie).clientID;
+		MDSM_CONFIG.logger.debug(`MDSM: Added client ${clientID} (${newClientInfo.clientClass}) to session ${session.sessionID}`);
+		emitter.emit('clientAdded', {
+			sessionID: session.sessionID,
+			clientID: clientID,
+			clientClass: newClientInfo.clientClass,
+		});
+
+		/* Return the client cookie ciphertext, and issue it as a cookie if a response was given */
+		let credential = encrypt(clientCookie);
+		if(newClientInfo.res){
+			setCookie(newClientInfo.res, credential);
+		}
+		return credential;
+	}
+
+	/* Modify a session's sessionData from outside of an endpoint handler, so that the change
+	 * is versioned and logged. The session may be passed as a Session object or a sessionID.
+	 * The mutator is called with sessionData and may modify it in place, or return a new
+	 * sessionData. Returns the new state version, or null if the session could not be found. */
+	let updateSessionData = function(session, mutator){
+		let target = resolveSession(session);
+
+		/* If the session could not be found, return null */
+		if(!(target)){
+			return null;
+		}
+
+		return target.updateData(mutator);
+	}
+
+	/* Post a message from server code to the mailboxes of clients in a session. The session
+	 * may be passed as a Session object or a sessionID. See Documentation for the message
+	 * schema. Returns the number of mailboxes the message was posted to, or null if the
+	 * session could not be found. */
+	let postMessage = function(session, message){
+		let target = resolveSession(session);
+
+		/* If the session could not be found, return null */
+		if(!(target)){
+			return null;
+		}
+
+		return target.postMessage(null, message);
+	}
+
+	/* Acquire (or renew) a named lease in a session on behalf of a client. The session may be
+	 * passed as a Session object or a sessionID. options.timeToLive overrides the default
+	 * leaseTimeToLive. Returns the lease, false if another client holds it, or null if the
+	 * session could not be found. */
+	let acquireLease = function(session, name, clientID, options){
+		let target = resolveSession(session);
+
+		/* If the session could not be found, return null */
+		if(!(target)){
+			return null;
+		}
+
+		let timeToLive = (options && options.timeToLive !== undefined) ? options.timeToLive : MDSM_CONFIG.leaseTimeToLive;
+		return target.acquireLease(name, clientID, timeToLive) || false;
+	}
+
+	/* Release a named lease in a session. If a clientID is given, the lease is only released
+	 * if that client holds it. Returns true if the lease was released, or null if the session
+	 * could not be found. */
+	let releaseLease = function(session, name, clientID){
+		let target = resolveSession(session);
+
+		/* If the session could not be found, return null */
+		if(!(target)){
+			return null;
+		}
+
+		return target.releaseLease(name, clientID);
+	}
+
+	/* Returns a named lease of a session, false if nobody holds it, or null if the session
+	 * could not be found. */
+	let getLease = function(session, name){
+		let target = resolveSession(session);
+
+		/* If the session could not be found, return null */
+		if(!(target)){
+			return null;
+		}
+
+		return target.getLease(name) || false;
+	}
+
+	/* Issue a join code for a session. The session may be passed as a Session object or a
+	 * sessionID. See Documentation for the options schema. Returns {code, url, expiryDate,
+	 * usesLeft}, null if the session could not be found, or an MDSM error (errorCode 17) if
+	 * the options are invalid. */
+	let createJoinCode = function(session, options){
+		let target = resolveSession(session);
+
+		/* If the session could not be found, return null */
+		if(!(target)){
+			return null;
+		}
+
+		return target.createJoinCode(options);
+	}
+
+	/* Invalidate a join code before it expires. Returns true if the code existed. */
+	let revokeJoinCode = function(code){
+		return joinCodes.revoke(code);
+	}
+
+	/* List the clients of a session. The session may be passed as a Session object or a
+	 * sessionID. Returns an array of client descriptions (see Documentation), or null if the
+	 * session could not be found. */
+	let listClients = function(session){
+		let target = resolveSession(session);
+
+		/* If the session could not be found, return null */
+		if(!(target)){
+			return null;
+		}
+
+		return target.listClients();
+	}
+
+	/* Remove (kick) a client from a session. Its cookie stops working immediately. Returns
+	 * true if the client was removed, false if it was not part of the session, or null if
+	 * the session could not be found. */
+	let removeClient = function(session, clientID){
+		let target = resolveSession(session);
+
+		/* If the session could not be found, return null */
+		if(!(target)){
+			return null;
+		}
+
+		return target.removeClient(clientID);
+	}
+
+	/* Get the clients currently active in a session, grouped by clientClass. Returns null if
+	 * the session could not be found. See Documentation for the presence schema. */
+	let getPresence = function(session){
+		let target = resolveSession(session);
+
+		/* If the session could not be found, return null */
+		if(!(target)){
+			return null;
+		}
+
+		return target.getPresence();
+	}
+
+	/* Push an event to the subscribed devices of a session. The session may be passed as a
+	 * Session object or a sessionID. See documentation for the options schema. Returns the
+	 * number of devices the event was sent to, or null if the session could not be found. */
+	let broadcast = function(session, event, payload, options){
+		let target = resolveSession(session);
+
+		/* If the session could not be found, return null */
+		if(!(target)){
+			return null;
+		}
+
+		return target.broadcast(event, payload, options);
+	}
+
+	/* Takes either a Session instance or a sessionID and returns the matching Session
+	 * object, or undefined if there is no session with that ID. */
+	function resolveSession(session){
+		/* If the Session instance was passed directly, just use it. */
+		if(typeof session === 'object'){
+			return session;
+		}
+
+		/* Otherwise get the appropriate object from the sessions index. */
+		return sessions.get(session);
 	}
 
 	/* If the URL starts or begins with slashes, trims it to remove them. For consistency
@@ -375,45 +1641,188 @@ let mdsm = function(){
 		return trimmedUrl;
 	}
 
-	/* Performs AES-256 encryption on a plaintext using a randomly-generated key
-	 * unique to each instance of MDSM */
+	/* Performs AES-256-GCM encryption on a plaintext using the current (first) key of the key
+	 * ring and a random IV. Returns a versioned envelope of dot-separated, base64url-encoded
+	 * parts: version.keyID.iv.ciphertext.authTag. The version and keyID are authenticated
+	 * along with the ciphertext. */
 	function encrypt(plaintext){
-		const encipher = crypto.createCipher('aes256', MDSM_CONFIG.secret);
-		let encrypted = encipher.update(plaintext, 'utf8', 'base64');
-		encrypted += encipher.final('base64');
-		return encrypted;
+		let current = MDSM_CONFIG.keyRing[0];
+		let header = COOKIE_VERSION + '.' + current.keyID;
+		let iv = crypto.randomBytes(IV_LENGTH);
+
+		const encipher = crypto.createCipheriv('aes-256-gcm', current.key, iv, { authTagLength: AUTH_TAG_LENGTH });
+		encipher.setAAD(Buffer.from(header, 'utf8'));
+		let encrypted = Buffer.concat([encipher.update(plaintext, 'utf8'), encipher.final()]);
+
+		return [
+			header,
+			iv.toString('base64url'),
+			encrypted.toString('base64url'),
+			encipher.getAuthTag().toString('base64url'),
+		].join('.');
 	}
 
-	/* Decrypts a ciphertext generated by the above encrypt function.
-	 * Returns null if the ciphertext is invalid */
-	function decrypt(ciphertext){
-		// console.log(`Decrypting ciphertext: ${ciphertext}`);
-		const decipher = crypto.createDecipher('aes256', MDSM_CONFIG.secret);
+	/* Verifies and decrypts an envelope generated by the above encrypt function, using
+	 * whichever key of the key ring it was made with. Returns null if the envelope is
+	 * malformed, was made with an unknown or retired key, or fails verification. */
+	function decrypt(envelope){
+		let parts = String(envelope).split('.');
+		if(parts.length !== 5 || parts[0] !== COOKIE_VERSION){
+			return null;
+		}
+
+		let keyEntry = MDSM_CONFIG.keyRing.filter((k)=>{
+			return k.keyID === parts[1];
+		})[0];
+		if(!(keyEntry)){
+			return null;
+		}
+
+		/* GCM accepts shorter IVs and tags, which would make forging a cookie far easier */
+		let iv = Buffer.from(parts[2], 'base64url');
+		let authTag = Buffer.from(parts[4], 'base64url');
+		if(iv.length !== IV_LENGTH || authTag.length !== AUTH_TAG_LENGTH){
+			return null;
+		}
+
 		try{
-			let decrypted = decipher.update(ciphertext, 'base64', 'utf8');
+			const decipher = crypto.createDecipheriv('aes-256-gcm', keyEntry.key, iv, { authTagLength: AUTH_TAG_LENGTH });
+			decipher.setAAD(Buffer.from(parts[0] + '.' + parts[1], 'utf8'));
+			decipher.setAuthTag(authTag);
+			let decrypted = decipher.update(Buffer.from(parts[3], 'base64url'), undefined, 'utf8');
 			decrypted += decipher.final('utf8');
-			// console.log('Decrypted: ' + decrypted);
 			return decrypted;
 		} catch (error){
-			throw error;
-			return null;
+			return null;	// The auth tag did not match: the cookie was tampered with or corrupted
 		}
 	}
 
-	/* Revealing Module design pattern: Define the module's external public functions */
-	let externalAPI = {
+	/* Turns a list of secrets into a key ring. Each secret is stretched into a 256-bit key
+	 * with HKDF, and identified by a short hash of that key so that envelopes can name the
+	 * key they were made with without revealing it. */
+	function buildKeyRing(secrets){
+		return secrets.map((secret)=>{
+			let key = Buffer.from(crypto.hkdfSync('sha256', secret, '', 'mdsm cookie', 32));
+			return {
+				keyID: crypto.createHash('sha256').update(key).digest('base64url').substring(0,8),
+				key: key,
+			};
+		});
+	}
+
+	/* Shut this instance down: refuse new requests, optionally wait for queued requests to
+	 * finish, stop every expiry and idle timer, close open event streams, and stop the Port
+	 * mode server. Sessions are left in the store, which is closed if it can be. See
+	 * Documentation for the options schema. Returns a Promise that resolves once everything
+	 * has stopped. */
+	let close = async function(options){
+		options = options || {};
+		isClosing = true;
+
+		/* Stop accepting connections. The Promise resolves once existing ones are closed. */
+		let serverClosed = Promise.resolve();
+		if(server){
+			serverClosed = new Promise((resolve)=>{
+				server.close(()=>{ resolve(); });
+			});
+		}
+
+		/* Let queued and running handlers finish, if asked to (up to the drain timeout) */
+		if(options.drain){
+			let drained = Promise.all(Array.from(sessions.values()).map((s)=>{
+				return s.whenIdle();
+			}));
+			let drainTimer = null;
+			let timedOut = new Promise((resolve)=>{
+				if(options.timeout){
+					drainTimer = setTimeout(resolve, options.timeout);
+				}
+			});
+			await Promise.race([drained, timedOut]);
+			clearTimeout(drainTimer);
+		}
+
+		/* Stop every timer, so that nothing keeps the process alive */
+		scheduler.clear();
+		sessions.forEach((s)=>{
+			s.release();
+		});
+
+		/* Let the store write out what it has held back */
+		if(typeof store.close === 'function'){
+			store.close();
+		}
+
+		/* Drop the connections that are left (keep-alive sockets, unfinished requests) */
+		if(server && typeof server.closeAllConnections === 'function'){
+			server.closeAllConnections();
+		}
+		await serverClosed;
+		server = null;
+	}
+
+	/* Returns the HTTP/S server created in Port mode, or null in Middleware mode */
+	let getServer = function(){
+		return server;
+	}
+
+	/* Revealing Module design pattern: Define the module's external public functions. They
+	 * are added to the event emitter, so that the interface also offers on(), once(), off()... */
+	let externalAPI = Object.assign(emitter, {
 		init: init,
+		addEndpoint: addEndpoint,
+		removeEndpoint: removeEndpoint,
+		replaceEndpoints: replaceEndpoints,
 		createSession: createSession,
 		renewSession: renewSession,
+		endSession: expireNow,
+		exportSession: exportSession,
+		importSession: importSession,
+		moveClient: moveClient,
+		mergeSessions: mergeSessions,
 		addClient: addClient,
+		broadcast: broadcast,
+		listClients: listClients,
+		removeClient: removeClient,
+		getPresence: getPresence,
+		updateSessionData: updateSessionData,
+		postMessage: postMessage,
+		acquireLease: acquireLease,
+		releaseLease: releaseLease,
+		getLease: getLease,
+		createJoinCode: createJoinCode,
+		revokeJoinCode: revokeJoinCode,
+		setCookie: setCookie,
+		clearCookie: clearCookie,
+		sendError: sendError,
+		close: close,
+		getServer: getServer,
+
+		/* The type of every MDSM error, for instanceof checks and MdsmError.codes */
+		MdsmError: MdsmError,
+
+		/* Built-in storage adapters, to be passed to init() as initConfig.store */
+		MemoryStore: MemoryStore,
+		FileStore: FileStore,
 
 		/* Expose processRequest() via an alias that acts as a gatekeeper. */
 		processRequest: processRequestAsMiddleware,
-	};
+	});
 
 	/* Return the external API */
 	return externalAPI;
 }
 
-/* Execute mdsm() and return that as the module export. */
+/* Execute mdsm() and return that as the module export. This default instance is shared by
+ * everything in the process that requires MDSM. */
 module.exports = mdsm();
+
+/* Factory for independent instances, each with its own endpoints, sessions, keys and server.
+ * If a config is given, the new instance is initialized with it right away. */
+module.exports.createMdsm = function(config){
+	let instance = mdsm();
+	if(config){
+		instance.init(config);
+	}
+	return instance;
+}
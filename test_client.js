@@ -0,0 +1,229 @@
+/* Tests of the client SDK (mdsm-client.js) against an MDSM instance started locally in Port
+ * mode, on a free port. Run with npm test. */
+const test = require('node:test');
+const assert = require('assert');
+const { createMdsm } = require('./mdsm.js');
+const MdsmClient = require('./mdsm-client.js');
+
+/* Which way the request's credential came in: the cookie, the Authorization header or the
+ * credential header */
+function credentialSource(req){
+	if(/(^|;\s*)mdsm=/.test(req.headers.cookie || '')){
+		return 'cookie';
+	}
+	if(req.headers.authorization){
+		return 'bearer';
+	}
+	if(req.headers['x-mdsm-credential']){
+		return 'header';
+	}
+	return null;
+}
+
+/* Wrap a test so that it runs against a new instance in Port mode, on a free port, as
+ * run(mdsm, baseURL). The instance is closed once the test is done. */
+function withServer(run){
+	return async ()=>{
+		let mdsm = createMdsm({
+			mode: 'Port',
+			port: 0,
+			logger: null,
+			endpoints: [
+				{
+					url: 'whoami',
+					allowedClassTypes: ['player'],
+					handler: function(sessionData,clientData,req,res,mdsmCookie,context){
+						return { sessionID: context.sessionID, clientID: context.clientID, via: credentialSource(req) };
+					}
+				},
+				{
+					url: 'score',
+					method: 'POST',
+					parseBody: true,
+					allowedClassTypes: ['player'],
+					handler: function(sessionData,clientData,req,res,mdsmCookie,context){
+						sessionData.score = (sessionData.score || 0) + context.body.points;
+						return { score: sessionData.score };
+					}
+				},
+			],
+		});
+		await new Promise((resolve)=>{
+			mdsm.on('listening', resolve);
+		});
+
+		try{
+			await run(mdsm, 'http://127.0.0.1:' + mdsm.getServer().address().port);
+		} finally {
+			await mdsm.close();
+		}
+	};
+}
+
+/* A new session, and a join code adding a player to it */
+function newGame(mdsm){
+	let session = mdsm.createSession({ sessionID: null, timeToLive: 60000, sessionData: {} });
+	let joinCode = mdsm.createJoinCode(session, { clientClass: 'player' });
+	return { session: session, code: joinCode.code };
+}
+
+test('join pairs the client with the session', withServer(async (mdsm, baseURL)=>{
+	let game = newGame(mdsm);
+	let client = new MdsmClient({ baseURL: baseURL });
+	assert.strictEqual(client.isPaired(), false);
+
+	let info = await client.join(game.code);
+	assert.strictEqual(info.sessionID, game.session.sessionID);
+	assert.strictEqual(info.clientClass, 'player');
+	assert.strictEqual(client.isPaired(), true);
+	assert.deepStrictEqual(client.session, { sessionID: game.session.sessionID, clientClass: 'player', version: null });
+}));
+
+test('endpoints are called with JSON bodies and answer with JSON', withServer(async (mdsm, baseURL)=>{
+	let game = newGame(mdsm);
+	let client = new MdsmClient({ baseURL: baseURL });
+	await client.join(game.code);
+
+	assert.deepStrictEqual(await client.post('score', { points: 3 }), { score: 3 });
+	assert.deepStrictEqual(await client.post('score', { points: 4 }), { score: 7 });
+	assert.strictEqual(game.session.sessionData.score, 7);
+}));
+
+test('failed requests reject with the MDSM error', withServer(async (mdsm, baseURL)=>{
+	let game = newGame(mdsm);
+	let client = new MdsmClient({ baseURL: baseURL });
+	await client.join(game.code);
+
+	await assert.rejects(client.get('nowhere'), (error)=>{
+		assert.ok(error instanceof MdsmClient.MdsmClientError);
+		assert.strictEqual(error.errorCode, 3);
+		assert.strictEqual(error.code, 'UNKNOWN_ENDPOINT');
+		assert.strictEqual(error.statusCode, 404);
+		return true;
+	});
+}));
+
+['bearer', 'header', 'cookie'].forEach((credentialMode)=>{
+	test(`the credential is sent with credentialMode '${credentialMode}'`, withServer(async (mdsm, baseURL)=>{
+		let game = newGame(mdsm);
+		let client = new MdsmClient({ baseURL: baseURL, credentialMode: credentialMode });
+		await client.join(game.code);
+
+		let answer = await client.get('whoami');
+		assert.strictEqual(answer.via, credentialMode);
+		assert.strictEqual(answer.sessionID, game.session.sessionID);
+	}));
+});
+
+test('a credential from addClient() may be given to the client', withServer(async (mdsm, baseURL)=>{
+	let game = newGame(mdsm);
+	let credential = mdsm.addClient({ session: game.session, clientClass: 'player' });
+	let client = new MdsmClient({ baseURL: baseURL, credential: credential });
+
+	let answer = await client.get('whoami');
+	assert.strictEqual(answer.sessionID, game.session.sessionID);
+}));
+
+test('a client without a credential (errorCode 0) is paired through pair() and retries', withServer(async (mdsm, baseURL)=>{
+	let game = newGame(mdsm);
+	let errors = [];
+	let client = new MdsmClient({
+		baseURL: baseURL,
+		pair: (c, error)=>{
+			errors.push(error.errorCode);
+			return game.code;
+		},
+	});
+
+	let answer = await client.get('whoami');
+	assert.deepStrictEqual(errors, [0]);
+	assert.strictEqual(answer.sessionID, game.session.sessionID);
+	assert.strictEqual(client.session.sessionID, game.session.sessionID);
+}));
+
+test('a client whose session ended (errorCode 1) is paired again through pair() and retries', withServer(async (mdsm, baseURL)=>{
+	let first = newGame(mdsm);
+	let second = newGame(mdsm);
+	let errors = [];
+	let client = new MdsmClient({
+		baseURL: baseURL,
+		pair: (c, error)=>{
+			errors.push(error.errorCode);
+			return Promise.resolve(second.code);
+		},
+	});
+	await client.join(first.code);
+	mdsm.endSession(first.session);
+
+	let answer = await client.get('whoami');
+	assert.deepStrictEqual(errors, [1]);
+	assert.strictEqual(answer.sessionID, second.session.sessionID);
+	assert.strictEqual(client.session.sessionID, second.session.sessionID);
+}));
+
+test('requests failing together wait for the same pairing', withServer(async (mdsm, baseURL)=>{
+	let game = newGame(mdsm);
+	let pairings = 0;
+	let client = new MdsmClient({
+		baseURL: baseURL,
+		pair: ()=>{
+			pairings++;
+			return game.code;
+		},
+	});
+
+	let answers = await Promise.all([client.get('whoami'), client.get('whoami'), client.get('whoami')]);
+	assert.strictEqual(pairings, 1);
+	answers.forEach((answer)=>{
+		assert.strictEqual(answer.sessionID, game.session.sessionID);
+	});
+}));
+
+test('without a pair function, a dead credential is forgotten and the request fails', withServer(async (mdsm, baseURL)=>{
+	let game = newGame(mdsm);
+	let client = new MdsmClient({ baseURL: baseURL });
+	await client.join(game.code);
+	mdsm.endSession(game.session);
+
+	await assert.rejects(client.get('whoami'), (error)=>{
+		assert.strictEqual(error.errorCode, 1);
+		return true;
+	});
+	assert.strictEqual(client.isPaired(), false);
+}));
+
+test('sync() fetches a snapshot, then patches from the version it fetched', withServer(async (mdsm, baseURL)=>{
+	let game = newGame(mdsm);
+	let client = new MdsmClient({ baseURL: baseURL });
+	await client.join(game.code);
+	await client.post('score', { points: 1 });
+
+	/* Calling an endpoint doesn't bring the client's state up to date */
+	assert.strictEqual(client.session.version, null);
+
+	let first = await client.sync();
+	assert.deepStrictEqual(first.snapshot, { score: 1 });
+	assert.strictEqual(client.session.version, first.version);
+
+	await client.post('score', { points: 2 });
+	let second = await client.sync();
+	assert.deepStrictEqual(second.patch, [{ op: 'replace', path: '/score', value: 3 }]);
+	assert.strictEqual(client.session.version, second.version);
+}));
+
+test('the credential is kept in storage between runs', withServer(async (mdsm, baseURL)=>{
+	let game = newGame(mdsm);
+	let saved = {};
+	let storage = {
+		getItem: (key)=>{ return (key in saved) ? saved[key] : null; },
+		setItem: (key, value)=>{ saved[key] = value; },
+		removeItem: (key)=>{ delete saved[key]; },
+	};
+	let client = new MdsmClient({ baseURL: baseURL, storage: storage });
+	await client.join(game.code);
+
+	let restarted = new MdsmClient({ baseURL: baseURL, storage: storage });
+	assert.strictEqual(restarted.session.sessionID, game.session.sessionID);
+	let answer = await restarted.get('whoami');
+	assert.strictEqual(answer.sessionID, game.session.sessionID);
+}));
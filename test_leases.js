@@ -0,0 +1,109 @@
+/* Tests of the leases devices manage with requests to the leaseURL. Run with npm test. */
+const test = require('node:test');
+const assert = require('assert');
+const { createMdsm } = require('./mdsm.js');
+const { TestHarness } = require('./mdsm-testing.js');
+
+/* A harness with one session and two display devices in it */
+function setUp(initConfig){
+	let harness = new TestHarness(Object.assign({ leaseTimeToLive: 30000 }, initConfig));
+	let session = harness.mdsm.createSession({ timeToLive: 3600000 });
+	return {
+		harness: harness,
+		session: session,
+		first: harness.device(session, 'display'),
+		second: harness.device(session, 'display'),
+	};
+}
+
+test('a lease name that is not valid percent-encoding is refused, and the server keeps running', async ()=>{
+	let mdsm = createMdsm({ mode: 'Port', port: 0, logger: null, endpoints: [] });
+	try{
+		await new Promise((resolve)=>{
+			mdsm.on('listening', resolve);
+		});
+		let baseURL = 'http://127.0.0.1:' + mdsm.getServer().address().port;
+		let session = mdsm.createSession({ timeToLive: 60000 });
+		let headers = { authorization: 'Bearer ' + mdsm.addClient({ session: session, clientClass: 'display' }) };
+
+		let refused = await fetch(baseURL + '/mdsm/lease/%E0%A4%A', { method: 'POST', headers: headers });
+		assert.strictEqual(refused.status, 400);
+		assert.strictEqual((await refused.json()).code, 'INVALID_LEASE_REQUEST');
+
+		let acquired = await fetch(baseURL + '/mdsm/lease/%C3%A9cran', { method: 'POST', headers: headers });
+		assert.strictEqual(acquired.status, 200);
+		assert.strictEqual((await acquired.json()).name, 'écran');
+	} finally {
+		await mdsm.close();
+	}
+});
+
+test('devices may only ask for a positive ttl', async ()=>{
+	let t = setUp();
+	for(let ttl of ['0', '-5', 'abc', '1.5']){
+		let response = await t.first.post('/mdsm/lease/screen?ttl=' + ttl);
+		assert.strictEqual(response.statusCode, 400, 'ttl=' + ttl);
+		assert.strictEqual(response.json.code, 'INVALID_LEASE_REQUEST');
+	}
+	assert.strictEqual(t.harness.mdsm.getLease(t.session, 'screen'), false);
+	await t.harness.close();
+});
+
+test('a ttl longer than leaseTimeToLive is capped', async ()=>{
+	let t = setUp();
+	let response = await t.first.post('/mdsm/lease/screen?ttl=600000');
+	assert.strictEqual(response.json.timeToLive, 30000);
+
+	response = await t.first.post('/mdsm/lease/screen?ttl=5000');
+	assert.strictEqual(response.json.timeToLive, 5000);
+	await t.harness.close();
+});
+
+test('the lease of an idle holder expires, and another device may take it', async ()=>{
+	let t = setUp();
+	assert.strictEqual((await t.first.post('/mdsm/lease/screen')).statusCode, 200);
+	assert.strictEqual((await t.second.post('/mdsm/lease/screen')).statusCode, 409);
+
+	t.harness.advance(30001);
+	let response = await t.second.post('/mdsm/lease/screen');
+	assert.strictEqual(response.statusCode, 200);
+	assert.strictEqual(response.json.clientID, t.harness.mdsm.listClients(t.session)[1].clientID);
+	await t.harness.close();
+});
+
+test('server code may still grant a lease that never expires', async ()=>{
+	let t = setUp();
+	let clientID = t.harness.mdsm.listClients(t.session)[0].clientID;
+	t.harness.mdsm.acquireLease(t.session, 'screen', clientID, { timeToLive: 0 });
+
+	t.harness.advance(3000000);
+	assert.strictEqual((await t.second.post('/mdsm/lease/screen')).statusCode, 409);
+	await t.harness.close();
+});
+
+test('expired leases are forgotten', async ()=>{
+	let t = setUp();
+	for(let i = 0; i < 5; i++){
+		await t.first.post('/mdsm/lease/name' + i + '?ttl=1000');
+	}
+	assert.strictEqual(Object.keys(t.session.leases).length, 5);
+
+	t.harness.advance(1001);
+	await t.first.post('/mdsm/lease/last');
+	assert.deepStrictEqual(Object.keys(t.session.leases), ['last']);
+	await t.harness.close();
+});
+
+test('lease requests count against the rate limits', async ()=>{
+	let t = setUp({ rateLimits: { client: { capacity: 2, refillPerSecond: 1 } } });
+	assert.strictEqual((await t.first.post('/mdsm/lease/a')).statusCode, 200);
+	assert.strictEqual((await t.first.get('/mdsm/lease/a')).statusCode, 200);
+
+	let response = await t.first.post('/mdsm/lease/b');
+	assert.strictEqual(response.statusCode, 429);
+	assert.strictEqual(t.harness.mdsm.getLease(t.session, 'b'), false);
+
+	t.harness.advance(1000);
+	assert.strictEqual((await t.first.post('/mdsm/lease/b')).statusCode, 200);
+	await t.harness.close();
+});
@@ -0,0 +1,62 @@
+/* Tests of rate limits on endpoints. Run with npm test. */
+const test = require('node:test');
+const assert = require('assert');
+const { TestHarness } = require('./mdsm-testing.js');
+
+/* A harness with a 'move' endpoint limited to 2 calls, refilled at one a second */
+function setUp(scope){
+	let harness = new TestHarness({
+		endpoints: [{
+			url: 'move',
+			method: 'POST',
+			allowedClassTypes: ['player'],
+			rateLimit: { capacity: 2, refillPerSecond: 1, scope: scope },
+			handler: ()=>{ return { moved: true }; },
+		}],
+	});
+	let session = harness.mdsm.createSession({ timeToLive: 60000 });
+	return {
+		harness: harness,
+		first: harness.device(session, 'player'),
+		second: harness.device(session, 'player'),
+	};
+}
+
+test('an endpoint limit applies to each client by default', async ()=>{
+	let t = setUp(undefined);
+	assert.strictEqual((await t.first.post('/move')).statusCode, 200);
+	assert.strictEqual((await t.first.post('/move')).statusCode, 200);
+	assert.strictEqual((await t.second.post('/move')).statusCode, 200);
+
+	let limited = await t.first.post('/move');
+	assert.strictEqual(limited.statusCode, 429);
+	assert.strictEqual(limited.headers['retry-after'], '1');
+	await t.harness.close();
+});
+
+test("an endpoint limit with scope 'session' is shared by the session's clients", async ()=>{
+	let t = setUp('session');
+	assert.strictEqual((await t.first.post('/move')).statusCode, 200);
+	assert.strictEqual((await t.second.post('/move')).statusCode, 200);
+	assert.strictEqual((await t.second.post('/move')).statusCode, 429);
+	assert.strictEqual((await t.first.post('/move')).statusCode, 429);
+
+	t.harness.advance(1000);
+	assert.strictEqual((await t.first.post('/move')).statusCode, 200);
+	await t.harness.close();
+});
+
+test('a limit that never refills sends no Retry-After', async ()=>{
+	let harness = new TestHarness({
+		rateLimits: { client: { capacity: 1, refillPerSecond: 0 } },
+		endpoints: [{ url: 'move', allowedClassTypes: ['player'], handler: ()=>{ return {}; } }],
+	});
+	let device = harness.device(harness.mdsm.createSession({ timeToLive: 60000 }), 'player');
+	assert.strictEqual((await device.get('/move')).statusCode, 200);
+
+	let limited = await device.get('/move');
+	assert.strictEqual(limited.statusCode, 429);
+	assert.strictEqual(limited.headers['retry-after'], undefined);
+	assert.strictEqual(limited.json.retryAfter, undefined);
+	await harness.close();
+});
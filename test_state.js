@@ -0,0 +1,122 @@
+/* Tests of the JSON Patches recorded by the StateLog (Classes/StateLog.js). Each patch is
+ * applied, as RFC 6902 says a device must apply it, to a copy of the data it was made from.
+ * Run with npm test. */
+const test = require('node:test');
+const assert = require('assert');
+const StateLog = require('./Classes/StateLog.js');
+
+/* Apply a JSON Patch (the add, remove and replace operations the StateLog makes) to a copy
+ * of a JSON value. Throws if an operation's target doesn't exist, as RFC 6902 requires. */
+function applyPatch(document, patch){
+	let result = JSON.parse(JSON.stringify(document));
+	patch.forEach((operation)=>{
+		if(operation.path === ''){
+			result = operation.value;
+			return;
+		}
+
+		let keys = operation.path.split('/').slice(1).map((key)=>{
+			return key.replace(/~1/g, '/').replace(/~0/g, '~');
+		});
+		let last = keys.pop();
+		let parent = keys.reduce((value, key)=>{
+			if(value === null || typeof value !== 'object' || !(Object.prototype.hasOwnProperty.call(value, key))){
+				throw new Error(`${operation.op} ${operation.path}: the path does not exist`);
+			}
+			return value[key];
+		}, result);
+
+		let exists = Object.prototype.hasOwnProperty.call(parent, last);
+		if(operation.op !== 'add' && !(exists)){
+			throw new Error(`${operation.op} ${operation.path}: the target does not exist`);
+		}
+		if(Array.isArray(parent) && operation.op === 'remove'){
+			parent.splice(Number(last), 1);
+		}
+		else if(Array.isArray(parent) && operation.op === 'add'){
+			parent.splice(Number(last), 0, operation.value);
+		}
+		else if(operation.op === 'remove'){
+			delete parent[last];
+		}
+		else {
+			parent[last] = operation.value;
+		}
+	});
+	return result;
+}
+
+/* Record the change from one value to another, check the patch applies, and return it */
+function recordChange(before, after){
+	let log = new StateLog({ maxEntries: 10 });
+	let patch = log.record(log.snapshot(before), after);
+	assert.deepStrictEqual(applyPatch(before, patch), after);
+	return patch;
+}
+
+test('nothing changed: an empty patch and no new version', ()=>{
+	let log = new StateLog({ maxEntries: 10 });
+	let data = { a: 1, list: [1, 2] };
+	assert.deepStrictEqual(log.record(log.snapshot(data), data), []);
+	assert.strictEqual(log.version, 0);
+});
+
+test('keys are added, replaced and removed', ()=>{
+	let patch = recordChange({ a: 1, b: 2, nested: { c: 3 } }, { a: 1, b: 5, nested: { d: 4 }, e: 'new' });
+	assert.deepStrictEqual(patch, [
+		{ op: 'replace', path: '/b', value: 5 },
+		{ op: 'remove', path: '/nested/c' },
+		{ op: 'add', path: '/nested/d', value: 4 },
+		{ op: 'add', path: '/e', value: 'new' },
+	]);
+});
+
+test('arrays grow and shrink from the end', ()=>{
+	recordChange({ list: [1, 2, 3, 4] }, { list: [1, 9] });
+	recordChange({ list: [1] }, { list: [1, 2, 3] });
+	recordChange({ list: [{ a: 1 }] }, { list: [{ a: 2 }] });
+});
+
+test('keys named after Object.prototype members are added with add', ()=>{
+	let patch = recordChange({}, { valueOf: 1, constructor: 'x', toString: null });
+	patch.forEach((operation)=>{
+		assert.strictEqual(operation.op, 'add');
+	});
+});
+
+test('keys named after Object.prototype members are removed', ()=>{
+	let log = new StateLog({ maxEntries: 10 });
+	let before = { valueOf: 1, hasOwnProperty: 2, kept: 3 };
+	let patch = log.record(log.snapshot(before), { kept: 3 });
+	assert.deepStrictEqual(patch, [
+		{ op: 'remove', path: '/valueOf' },
+		{ op: 'remove', path: '/hasOwnProperty' },
+	]);
+	assert.strictEqual(log.version, 1);
+	assert.deepStrictEqual(applyPatch(before, patch), { kept: 3 });
+});
+
+test('keys with / and ~ are escaped', ()=>{
+	let patch = recordChange({ 'a/b': 1 }, { 'a/b': 2, '~c': 3 });
+	assert.deepStrictEqual(patch.map((operation)=>operation.path), ['/a~1b', '/~0c']);
+});
+
+test('a value of another type is replaced', ()=>{
+	recordChange({ a: [1] }, { a: { b: 1 } });
+	recordChange({ a: { b: 1 } }, { a: 'text' });
+});
+
+test('changesSince() combines the patches made after a version', ()=>{
+	let log = new StateLog({ maxEntries: 2 });
+	let versions = [{ n: 0 }, { n: 1 }, { n: 1, m: 1 }, { m: 2 }];
+	for(let i = 1; i < versions.length; i++){
+		log.record(log.snapshot(versions[i - 1]), versions[i]);
+	}
+	assert.strictEqual(log.version, 3);
+	assert.deepStrictEqual(applyPatch(versions[1], log.changesSince(1)), versions[3]);
+	assert.deepStrictEqual(log.changesSince(3), []);
+
+	/* Only the last two changes are kept */
+	assert.strictEqual(log.changesSince(0), null);
+	assert.strictEqual(log.changesSince(4), null);
+});
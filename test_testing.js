@@ -0,0 +1,132 @@
+/* Tests of the testing helpers (mdsm-testing.js): the FakeClock, and sessions, clients and
+ * devices driven through a TestHarness. Run with npm test. */
+const test = require('node:test');
+const assert = require('assert');
+const { FakeClock, TestHarness } = require('./mdsm-testing.js');
+
+test('FakeClock runs due timers in time order, then in the order they were set', ()=>{
+	let clock = new FakeClock(1000);
+	let ran = [];
+	clock.setTimeout(()=>{ ran.push(['c', clock.now()]); }, 300);
+	clock.setTimeout(()=>{ ran.push(['a', clock.now()]); }, 100);
+	clock.setTimeout(()=>{ ran.push(['b', clock.now()]); }, 100);
+	clock.setTimeout(()=>{ ran.push(['late', clock.now()]); }, 1000);
+
+	clock.advance(500);
+	assert.deepStrictEqual(ran, [['a', 1100], ['b', 1100], ['c', 1300]]);
+	assert.strictEqual(clock.now(), 1500);
+});
+
+test('FakeClock runs timers set by timers if they come due, and skips cleared ones', ()=>{
+	let clock = new FakeClock(0);
+	let ran = [];
+	let cleared = clock.setTimeout(()=>{ ran.push('cleared'); }, 50);
+	clock.setTimeout(()=>{
+		ran.push('first');
+		clock.setTimeout(()=>{ ran.push('chained'); }, 100);
+		clock.setTimeout(()=>{ ran.push('too late'); }, 500);
+	}, 100);
+	clock.clearTimeout(cleared);
+
+	clock.advance(200);
+	assert.deepStrictEqual(ran, ['first', 'chained']);
+
+	clock.advanceTo(600);
+	assert.deepStrictEqual(ran, ['first', 'chained', 'too late']);
+	assert.strictEqual(clock.now(), 600);
+});
+
+test('a session expires once its timeToLive has passed on the fake clock', async ()=>{
+	let harness = new TestHarness({
+		endpoints: [{ url: 'ping', allowedClassTypes: ['player'], handler: ()=>{ return { pong: true }; } }],
+	});
+	let expired = [];
+	harness.mdsm.on('sessionExpired', (event)=>{
+		expired.push(event.sessionID);
+	});
+	let session = harness.mdsm.createSession({ timeToLive: 60000 });
+	let device = harness.device(session, 'player');
+
+	harness.advance(59999);
+	assert.strictEqual((await device.get('/ping')).statusCode, 200);
+	assert.deepStrictEqual(expired, []);
+
+	harness.advance(1);
+	assert.deepStrictEqual(expired, [session.sessionID]);
+	let response = await device.get('/ping');
+	assert.strictEqual(response.statusCode, 401);
+	assert.strictEqual(response.error.errorCode, 1);
+	await harness.close();
+});
+
+test('an idle client is evicted after clientTimeToLive, and requests keep it alive', async ()=>{
+	let harness = new TestHarness({
+		clientTimeToLive: 10000,
+		endpoints: [{ url: 'ping', allowedClassTypes: ['player'], handler: ()=>{ return {}; } }],
+	});
+	let session = harness.mdsm.createSession({ timeToLive: 3600000 });
+	let active = harness.device(session, 'player');
+	harness.device(session, 'player');
+
+	harness.advance(6000);
+	await active.get('/ping');
+	harness.advance(6000);
+	assert.strictEqual(harness.mdsm.listClients(session).length, 1);
+
+	harness.advance(10000);
+	assert.strictEqual(harness.mdsm.listClients(session).length, 0);
+	await harness.close();
+});
+
+test('two devices: one changes the state, the other hears of it on its event stream', async ()=>{
+	let harness = new TestHarness({
+		endpoints: [{
+			url: 'move',
+			method: 'POST',
+			parseBody: true,
+			allowedClassTypes: ['controller'],
+			handler: (sessionData, clientData, req, res, mdsmCookie, context)=>{
+				sessionData.position = context.body.to;
+				harness.mdsm.broadcast(context.sessionID, 'moved', { to: context.body.to });
+				return { position: sessionData.position };
+			},
+		}],
+	});
+	let session = harness.mdsm.createSession({ timeToLive: 60000, sessionData: { position: 0 } });
+	let controller = harness.device(session, 'controller');
+	let display = harness.device(session, 'display');
+
+	let stream = display.subscribe();
+	let response = await controller.post('/move', { to: 3 });
+	assert.deepStrictEqual(response.json, { position: 3 });
+	assert.deepStrictEqual(stream.events.filter((e)=>e.event === 'moved'), [{ event: 'moved', data: { to: 3 } }]);
+
+	/* The display isn't allowed to move */
+	assert.strictEqual((await display.post('/move', { to: 4 })).statusCode, 403);
+	assert.strictEqual(session.sessionData.position, 3);
+
+	stream.close();
+	await harness.close();
+});
+
+test('a device keeps the cookie set when it joins, and drops it when it is cleared', async ()=>{
+	let harness = new TestHarness({
+		endpoints: [
+			{ url: 'whoami', allowedClassTypes: ['player'], handler: (sd, cd, req, res, mdsmCookie, context)=>{ return { clientID: context.clientID }; } },
+			{ url: 'leave', allowedClassTypes: ['player'], handler: (sd, cd, req, res)=>{ harness.mdsm.clearCookie(res); return {}; } },
+		],
+	});
+	let session = harness.mdsm.createSession({ timeToLive: 60000 });
+	let device = harness.device();
+	assert.strictEqual(device.credential, null);
+
+	let joined = await device.join(harness.mdsm.createJoinCode(session, { clientClass: 'player' }).code);
+	assert.strictEqual(joined.statusCode, 200);
+	assert.notStrictEqual(device.credential, null);
+	assert.strictEqual((await device.get('/whoami')).json.clientID, harness.mdsm.listClients(session)[0].clientID);
+
+	await device.get('/leave');
+	assert.strictEqual(device.credential, null);
+	assert.strictEqual((await device.get('/whoami')).error.errorCode, 0);
+	await harness.close();
+});